@@ -0,0 +1,62 @@
+// abstain.js
+// No-signal policy: lets the ensemble publish NO_SIGNAL instead of a weak BIG/SMALL call.
+
+import { auditSequence } from './randomness.js';
+
+const NO_SIGNAL = 'NO_SIGNAL';
+const ABSTAIN_STATUS = '⏸️ no signal';
+
+const DEFAULT_ABSTAIN_POLICY = {
+  enabled: false,
+  minMargin: 0.02, // abstain when |P(BIG) - 0.5| is below this
+  maxDisagreement: 0.5, // abstain when more than this share of model weight is on the other side
+  requireNonRandom: false, // abstain when the recent window passes every randomness test
+  randomnessAlpha: 0.05,
+  randomnessWindow: 100
+};
+
+function normalizeAbstainPolicy(raw = {}) {
+  const policy = { ...DEFAULT_ABSTAIN_POLICY };
+  if (typeof raw.enabled === 'boolean') policy.enabled = raw.enabled;
+  if (typeof raw.requireNonRandom === 'boolean') policy.requireNonRandom = raw.requireNonRandom;
+  for (const key of ['minMargin', 'maxDisagreement', 'randomnessAlpha']) {
+    if (typeof raw[key] === 'number' && raw[key] >= 0 && raw[key] <= 1) policy[key] = raw[key];
+  }
+  if (Number.isInteger(raw.randomnessWindow) && raw.randomnessWindow >= 20) policy.randomnessWindow = raw.randomnessWindow;
+  return policy;
+}
+
+// Reasons to abstain for one prediction (empty when the call should be published).
+// preds: [{ model, p, pBig }], history: newest first. The margin and disagreement checks
+// need the pooled P(BIG) and are skipped when no model offered one (pBig null).
+function abstainReasons(policy, { pBig, preds = [], history = [] }) {
+  if (!policy || !policy.enabled) return [];
+  const reasons = [];
+  if (pBig !== null && pBig !== undefined) {
+    const margin = Math.abs(pBig - 0.5);
+    if (margin < policy.minMargin) reasons.push(`margin ${margin.toFixed(4)} < ${policy.minMargin}`);
+
+    // a model without a probability is counted on the side it called
+    const side = pBig >= 0.5;
+    const callsBig = x => (x.pBig === null ? x.p.prediction === 'BIG' : x.pBig >= 0.5);
+    const totalWeight = preds.reduce((s, x) => s + (x.model.weight || 1), 0);
+    const against = preds.filter(x => callsBig(x) !== side).reduce((s, x) => s + (x.model.weight || 1), 0);
+    const disagreement = totalWeight > 0 ? against / totalWeight : 0;
+    if (disagreement > policy.maxDisagreement) reasons.push(`disagreement ${disagreement.toFixed(2)} > ${policy.maxDisagreement}`);
+  }
+
+  if (policy.requireNonRandom && Array.isArray(history) && history.length >= 20) {
+    const window = history.slice(0, policy.randomnessWindow).reverse();
+    const audit = auditSequence(window, policy.randomnessAlpha);
+    if (audit.flagged.length === 0) reasons.push(`no randomness test flagged at alpha ${policy.randomnessAlpha}`);
+  }
+  return reasons;
+}
+
+export {
+  NO_SIGNAL,
+  ABSTAIN_STATUS,
+  DEFAULT_ABSTAIN_POLICY,
+  normalizeAbstainPolicy,
+  abstainReasons
+};
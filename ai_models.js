@@ -12,10 +12,12 @@ import {
   detectCyclicalPatterns,
   combineSignals
 } from './prediction_helpers.js';
+import { now } from './clock.js';
+import { applyParams, serializeLearnerState, restoreLearnerState } from './model_params.js';
 
 function flonzaElitePredict(history) {
   if (!Array.isArray(history) || history.length < 10) {
-    return { prediction: "BIG", confidence: 55, logic: "fallback", patterns: ["insufficient_data"] };
+    return { prediction: "BIG", confidence: 55, logic: "fallback", patterns: ["insufficient_data"], pBig: 0.5 };
   }
   const models = {
     pattern: model1_patternAnalysis(history),
@@ -43,16 +45,32 @@ function flonzaElitePredict(history) {
   // Compute stable confidence with multiple factors
   const stabilityFactor = (patternStrength + (1 - randomnessScore) + anomalyRisk) / 3;
   const adjustedConfidence = Math.round(avgConfidence * stabilityFactor);
+  // unclamped P(BIG): the weighted BIG vote share, shrunk towards 0.5 by stability
+  const pBig = 0.5 + ((weightedPrediction.BIG / totalWeight) - 0.5) * Math.max(0, Math.min(1, stabilityFactor));
   
   return {
     prediction: finalPrediction,
     confidence: Math.max(65, adjustedConfidence), // ensure minimum confidence
+    pBig,
     logic: "FLONZA_V4_ENHANCED",
+    digits: models.colorNumber.distribution,
     contributors: Object.entries(models).map(([name, result]) => ({
       model: name,
       prediction: result.prediction,
       confidence: result.confidence
     })),
+    trace: {
+      votes: { BIG: weightedPrediction.BIG, SMALL: weightedPrediction.SMALL },
+      predictionStrength,
+      randomnessScore,
+      anomalyRisk,
+      stabilityFactor,
+      subModels: Object.entries(models).map(([name, result]) => ({
+        model: name,
+        prediction: result.prediction ?? null,
+        confidence: result.confidence ?? null
+      }))
+    },
     patterns: [
       ...(models.pattern.patterns || []),
       ...(models.colorNumber.patterns || []),
@@ -103,22 +121,25 @@ function model2_colorNumberAnalysis(hist) {
   nums.forEach(n => { if (typeof n === 'number' && !Number.isNaN(n)) freq[n]++; });
   const maxFreq = Math.max(...freq);
   const hotNumber = freq.indexOf(maxFreq);
+  // add-one smoothed digit frequencies, used for the digit/colour/parity markets
+  const counted = freq.reduce((a, b) => a + b, 0);
+  const distribution = freq.map(f => (f + 1) / (counted + 10));
   if (hotNumber >= 5) {
     patterns.push(`Hot_BIG_${hotNumber}`);
-    return { prediction: "BIG", confidence: 75, patterns };
+    return { prediction: "BIG", confidence: 75, patterns, distribution };
   } else if (hotNumber < 5) {
     patterns.push(`Hot_SMALL_${hotNumber}`);
-    return { prediction: "SMALL", confidence: 75, patterns };
+    return { prediction: "SMALL", confidence: 75, patterns, distribution };
   }
-  return { prediction: "BIG", confidence: 62, patterns: ["Neutral_numbers"] };
+  return { prediction: "BIG", confidence: 62, patterns: ["Neutral_numbers"], distribution };
 }
 
 function model3_manipulationDetector(hist) {
   const recent = hist.slice(0, 50);
   const intervals = [];
   for (let i = 0; i < recent.length - 1; i++) {
-    const t1 = new Date(recent[i].createTime || Date.now()).getTime();
-    const t2 = new Date(recent[i+1].createTime || Date.now()).getTime();
+    const t1 = new Date(recent[i].createTime || now()).getTime();
+    const t2 = new Date(recent[i+1].createTime || now()).getTime();
     intervals.push(Math.abs(t1 - t2));
   }
   const avgInterval = intervals.length ? intervals.reduce((a, b) => a + b, 0) / intervals.length : 60000;
@@ -201,7 +222,7 @@ export {
 
 // --- Self-learning AI model wrapper ---
 class AIModel {
-  constructor(id = 'AI_FLONZA') {
+  constructor(id = 'AI_FLONZA', params = {}) {
     this.id = id;
     this.name = 'FLONZA_V4_HYBRID';
     this.weight = 1.0;
@@ -214,6 +235,7 @@ class AIModel {
     this.minWeight = 0.2;
     this.maxWeight = 3.0;
     this.decay = 0.999;
+    applyParams(this, params);
   }
 
   predict(history, options = {}) {
@@ -235,6 +257,15 @@ class AIModel {
     this.weight = Math.max(this.minWeight, Math.min(this.maxWeight, this.weight * Math.pow(this.decay, lr) + (1 + delta) * lr));
     return { wins: this.wins, losses: this.losses, weight: this.weight, emaAccuracy: this.emaAccuracy };
   }
+
+  // full learned state, enough for restore() to resume exactly where this left off
+  serialize() {
+    return serializeLearnerState(this);
+  }
+
+  restore(state = {}) {
+    return restoreLearnerState(this, state);
+  }
 }
 
 export { AIModel };
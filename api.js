@@ -0,0 +1,213 @@
+// api.js
+// Schema-driven request layer: every route is registered with a spec (api_spec.js) that
+// validates its path, query and body, documents it in /openapi.json, and all failures
+// leave through one error envelope: { error: { code, message, details? } }.
+
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  500: 'INTERNAL_ERROR',
+  503: 'DB_UNAVAILABLE' // the database is the only dependency a request can be refused for
+};
+
+function sendError(res, status, message, { code, details } = {}) {
+  return res.status(status).json({
+    error: {
+      code: code || ERROR_CODES[status] || 'ERROR',
+      message,
+      ...(details !== undefined ? { details } : {})
+    }
+  });
+}
+
+// ---- validation (a JSON Schema subset: type, enum, minimum, maximum, pattern, format,
+// required, properties, additionalProperties, items) ----
+
+function describeType(schema) {
+  return schema.enum ? `one of: ${schema.enum.join(', ')}` : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`;
+}
+
+// Query and path values arrive as strings; read them as the schema's type (undefined if not)
+function fromString(schema, raw) {
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? Number(raw) : undefined;
+    case 'number':
+      return raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : undefined;
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : undefined;
+    default:
+      return raw;
+  }
+}
+
+function checkValue(schema, value, name, errors, where) {
+  const fail = message => errors.push({ in: where, name, message });
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type === 'integer' ? !Number.isInteger(value) : schema.type === 'number' ? typeof value !== 'number' || !Number.isFinite(value) : schema.type && schema.type !== type) {
+    return fail(`must be ${describeType(schema)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be ${describeType(schema)}`);
+  if (typeof schema.minimum === 'number' && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+  if (typeof schema.maximum === 'number' && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) fail('must be a date/time');
+  if (schema.format === 'issue-or-date-time' && !/^\d{9,}$/.test(value) && isNaN(new Date(value).getTime())) {
+    fail('must be an issue number or a date/time');
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ in: where, name: name ? `${name}.${key}` : key, message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const child = (schema.properties || {})[key];
+      const path = name ? `${name}.${key}` : key;
+      if (child) checkValue(child, v, path, errors, where);
+      else if (schema.additionalProperties === false) errors.push({ in: where, name: path, message: 'is not allowed' });
+      else if (typeof schema.additionalProperties === 'object') checkValue(schema.additionalProperties, v, path, errors, where);
+    }
+  }
+  if (schema.type === 'array' && schema.items) value.forEach((v, i) => checkValue(schema.items, v, `${name}[${i}]`, errors, where));
+}
+
+// parameters: { name: { in: 'query' | 'path', required?, schema, description } }
+function validateRequest(spec, req) {
+  const errors = [];
+  for (const [name, p] of Object.entries(spec.parameters || {})) {
+    const source = p.in === 'path' ? req.params : req.query;
+    const raw = source[name];
+    if (raw === undefined || raw === '') {
+      if (p.required) errors.push({ in: p.in, name, message: 'is required' });
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      errors.push({ in: p.in, name, message: 'must be given once' });
+      continue;
+    }
+    const value = fromString(p.schema, raw);
+    if (value === undefined) errors.push({ in: p.in, name, message: `must be ${describeType(p.schema)}` });
+    else checkValue(p.schema, value, name, errors, p.in);
+  }
+  if (spec.body) {
+    const body = req.body === undefined ? {} : req.body;
+    checkValue(spec.body, body, '', errors, 'body');
+  }
+  return errors;
+}
+
+// ---- registration ----
+
+// Wraps an express app so every route needs a spec from `specs` ("GET /path" keys);
+// the last handler runs only once the request passed validation
+function createApi(app, specs) {
+  const registered = [];
+  const register = method => (path, ...handlers) => {
+    const key = `${method.toUpperCase()} ${path}`;
+    const spec = specs[key];
+    if (!spec) throw new Error(`No API spec for ${key}`);
+    registered.push({ method, path, spec });
+    const handler = handlers.pop();
+    const validate = (req, res, next) => {
+      const errors = validateRequest(spec, req);
+      if (errors.length > 0) {
+        return sendError(res, 400, 'Request validation failed', { code: 'VALIDATION_ERROR', details: errors });
+      }
+      next();
+    };
+    app[method](path, ...handlers, validate, handler);
+  };
+  return {
+    get: register('get'),
+    post: register('post'),
+    patch: register('patch'),
+    delete: register('delete'),
+    routes: () => registered
+  };
+}
+
+// Unmatched routes, malformed JSON bodies and uncaught handler errors, in the same envelope
+function installErrorHandlers(app) {
+  app.use((req, res) => sendError(res, 404, `No route for ${req.method} ${req.path}`));
+  // express recognises an error handler by its four parameters, so _next stays even though unused
+  app.use((err, req, res, _next) => {
+    if (err.type === 'entity.parse.failed') return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+    console.error(`Error in ${req.method} ${req.path}:`, err);
+    sendError(res, 500, 'Internal server error');
+  });
+}
+
+// ---- OpenAPI ----
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', example: 'VALIDATION_ERROR' },
+        message: { type: 'string' },
+        details: {}
+      }
+    }
+  }
+};
+
+// OpenAPI 3.0 document for every registered route
+function openApiDocument(api, info) {
+  const paths = {};
+  for (const { method, path, spec } of api.routes()) {
+    const oaPath = path.replace(/:(\w+)/g, '{$1}');
+    const responses = {
+      200: { description: spec.response?.description || 'OK', content: { [spec.response?.contentType || 'application/json']: { schema: spec.response?.schema || { type: 'object' } } } }
+    };
+    const errors = [400, ...(spec.admin ? [401, 403] : []), ...(spec.errors || []), 500];
+    for (const status of errors) {
+      responses[status] = { description: ERROR_CODES[status], content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+    }
+    if (spec.response?.status && spec.response.status !== 200) {
+      responses[spec.response.status] = responses[200];
+      delete responses[200];
+    }
+    paths[oaPath] = paths[oaPath] || {};
+    paths[oaPath][method] = {
+      operationId: spec.operationId,
+      summary: spec.summary,
+      tags: spec.tags || [],
+      ...(spec.admin ? { security: [{ adminToken: [] }] } : {}),
+      parameters: Object.entries(spec.parameters || {}).map(([name, p]) => ({
+        name,
+        in: p.in,
+        required: p.in === 'path' ? true : !!p.required,
+        ...(p.description ? { description: p.description } : {}),
+        schema: p.schema
+      })),
+      ...(spec.body ? { requestBody: { required: true, content: { 'application/json': { schema: spec.body } } } } : {}),
+      responses
+    };
+  }
+  return {
+    openapi: '3.0.3',
+    info,
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: { adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN (also accepted as X-Admin-Token)' } }
+    }
+  };
+}
+
+export {
+  ERROR_CODES,
+  sendError,
+  validateRequest,
+  createApi,
+  installErrorHandlers,
+  openApiDocument
+};
@@ -0,0 +1,450 @@
+// api_spec.js
+// Route specs for api.js: parameters and bodies are validated against these schemas and
+// /openapi.json is generated from them. Keys are "<METHOD> <express path>".
+
+import { listGames } from './games.js';
+import { DEFAULT_LIMIT, MAX_LIMIT } from './predictions_api.js';
+import { MAX_BACKFILL_REQUESTS } from './draws_archive.js';
+import { FORMATS as EXPORT_FORMATS, DATASETS as EXPORT_DATASETS } from './exports.js';
+
+const game = {
+  in: 'query',
+  schema: { type: 'string', enum: listGames().map(g => g.id) },
+  description: 'Game variant; defaults to DEFAULT_GAME (1min). Must be enabled in GAMES'
+};
+
+const range = {
+  from: { in: 'query', schema: { type: 'string', format: 'issue-or-date-time' }, description: 'First issue number or date/time' },
+  to: { in: 'query', schema: { type: 'string', format: 'issue-or-date-time' }, description: 'Last issue number or date/time' },
+  since: { in: 'query', schema: { type: 'string', format: 'date-time' } },
+  until: { in: 'query', schema: { type: 'string', format: 'date-time' } }
+};
+
+const period = { in: 'path', schema: { type: 'string', pattern: '^\\d+$' }, description: 'Issue number' };
+const modelId = { in: 'path', schema: { type: 'string' }, description: 'Model id' };
+const version = { in: 'path', schema: { type: 'integer', minimum: 1 }, description: 'Snapshot version' };
+const limit = (max, description) => ({ in: 'query', schema: { type: 'integer', minimum: 1, maximum: max }, description });
+const bucketSize = { in: 'query', schema: { type: 'integer', minimum: 1, maximum: 50 }, description: 'Confidence bucket width in percent (default 5)' };
+
+const predictionFilters = {
+  game,
+  ...range,
+  status: { in: 'query', schema: { type: 'string' }, description: 'Comma-separated: win, loss, pending, no_signal (abstain) or a stored status' },
+  prediction: { in: 'query', schema: { type: 'string' }, description: 'Comma-separated BIG/SMALL' },
+  model_id: { in: 'query', schema: { type: 'string' }, description: 'Comma-separated model ids' },
+  logic: { in: 'query', schema: { type: 'string' }, description: 'Comma-separated logic ids or legacy logic names' },
+  engine: { in: 'query', schema: { type: 'string' }, description: 'Comma-separated engine ids (see /engines)' },
+  minConfidence: { in: 'query', schema: { type: 'number', minimum: 0, maximum: 100 } },
+  maxConfidence: { in: 'query', schema: { type: 'number', minimum: 0, maximum: 100 } },
+  sort: { in: 'query', schema: { type: 'string', enum: ['created_at', 'period', 'confidence', 'p_big'] } },
+  order: { in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+  limit: limit(MAX_LIMIT, `Page size (default ${DEFAULT_LIMIT})`),
+  cursor: { in: 'query', schema: { type: 'string' }, description: 'page.nextCursor of the previous page' }
+};
+
+const object = description => ({ description, schema: { type: 'object' } });
+const array = description => ({ description, schema: { type: 'array', items: { type: 'object' } } });
+
+const ROUTE_SPECS = {
+  'GET /': {
+    operationId: 'getIndex',
+    summary: 'Service description and endpoint list',
+    tags: ['meta'],
+    response: object('Name, version, features and endpoints')
+  },
+  'GET /openapi.json': {
+    operationId: 'getOpenApi',
+    summary: 'This OpenAPI document',
+    tags: ['meta'],
+    response: object('OpenAPI 3.0 document')
+  },
+  'GET /health': {
+    operationId: 'getHealth',
+    summary: 'Health check',
+    tags: ['meta'],
+    response: object('Status, database flag, draw source and enabled games')
+  },
+  'GET /games': {
+    operationId: 'listGames',
+    summary: 'Supported Win Go variants',
+    tags: ['meta'],
+    response: array('Games with an enabled flag')
+  },
+  'GET /wingo-url': {
+    operationId: 'getWingoUrl',
+    summary: 'Current Win Go API URL',
+    tags: ['meta'],
+    parameters: { game },
+    response: object('Game and URL')
+  },
+  'GET /stream': {
+    operationId: 'streamEvents',
+    summary: 'Live events over Server-Sent Events (WebSocket twin at /stream/ws)',
+    tags: ['live'],
+    parameters: {
+      game: { ...game, description: 'Only events of this game (default: all)' },
+      lastEventId: { in: 'query', schema: { type: 'integer', minimum: 0 }, description: 'Replay buffered events after this id' }
+    },
+    response: { description: 'Event stream', contentType: 'text/event-stream', schema: { type: 'string' } }
+  },
+  'GET /trade': {
+    operationId: 'getTrade',
+    summary: 'Current committed prediction with market forecasts (read-only)',
+    tags: ['predictions'],
+    parameters: { game },
+    response: object('current is null, with a message, until the first prediction is committed')
+  },
+  'GET /stats': {
+    operationId: 'getStats',
+    summary: 'Accuracy, streaks, breakdowns, significance, baselines and per-market accuracy',
+    tags: ['stats'],
+    parameters: {
+      game,
+      ...range,
+      groupBy: { in: 'query', schema: { type: 'string', enum: ['hour', 'day', 'model', 'logic'] } },
+      seed: { in: 'query', schema: { type: 'integer' }, description: 'Seed of the random baseline (default 42)' }
+    },
+    response: object('Totals are zero and db is false without a database')
+  },
+  'GET /stats/calibration': {
+    operationId: 'getCalibration',
+    summary: 'Confidence calibration, Brier score and log loss',
+    tags: ['stats'],
+    parameters: { game, ...range, bucketSize },
+    errors: [503],
+    response: object('Calibration overall, by model and by logic')
+  },
+  'GET /api/v1/predictions': {
+    operationId: 'listPredictions',
+    summary: 'Filtered, sorted, cursor-paginated predictions',
+    tags: ['predictions'],
+    parameters: predictionFilters,
+    errors: [503],
+    response: {
+      description: 'One page of predictions',
+      schema: {
+        type: 'object',
+        properties: {
+          game: { type: 'string' },
+          data: { type: 'array', items: { type: 'object' } },
+          page: {
+            type: 'object',
+            properties: {
+              limit: { type: 'integer' },
+              sort: { type: 'string' },
+              order: { type: 'string' },
+              hasMore: { type: 'boolean' },
+              nextCursor: { type: 'string', nullable: true }
+            }
+          }
+        }
+      }
+    }
+  },
+  'GET /api/v1/predictions/:period': {
+    operationId: 'getPrediction',
+    summary: 'One prediction with its revisions, per-model calls and markets',
+    tags: ['predictions'],
+    parameters: { game, period },
+    errors: [404, 503],
+    response: object('Prediction detail with links')
+  },
+  'GET /api/v1/predictions/:period/revisions': {
+    operationId: 'listPredictionRevisions',
+    summary: 'Stored revisions of one prediction',
+    tags: ['predictions'],
+    parameters: { game, period },
+    errors: [503],
+    response: array('Revisions in order')
+  },
+  'GET /history': {
+    operationId: 'listHistory',
+    summary: 'Alias of /api/v1/predictions returning a bare array',
+    tags: ['predictions'],
+    parameters: predictionFilters,
+    errors: [503],
+    response: array('Predictions')
+  },
+  'GET /history/:period/revisions': {
+    operationId: 'listHistoryRevisions',
+    summary: 'Alias of /api/v1/predictions/{period}/revisions',
+    tags: ['predictions'],
+    parameters: { game, period },
+    errors: [503],
+    response: array('Revisions in order')
+  },
+  'GET /explain/:period': {
+    operationId: 'explainPrediction',
+    summary: 'Decision trace of a published prediction',
+    tags: ['predictions'],
+    parameters: { game, period, format: { in: 'query', schema: { type: 'string', enum: ['json', 'text'] }, description: 'text for plain text' } },
+    errors: [404, 503],
+    response: object('Prediction, explanation sentences and the raw trace')
+  },
+  'GET /replay/:period': {
+    operationId: 'replayPrediction',
+    summary: 'Re-run a published prediction on its stored inputs',
+    tags: ['predictions'],
+    parameters: { game, period },
+    errors: [404, 503],
+    response: object('Whether the output was reproduced, with any mismatches')
+  },
+  'GET /models/stats': {
+    operationId: 'getModelStats',
+    summary: 'Runtime and persisted model state',
+    tags: ['models'],
+    parameters: { game },
+    response: object('Runtime and persisted model rows')
+  },
+  'GET /models/:id/performance': {
+    operationId: 'getModelPerformance',
+    summary: "Own-call accuracy, streaks and Brier score of one model",
+    tags: ['models'],
+    parameters: { game, id: modelId, ...range },
+    errors: [404, 503],
+    response: object('Model performance')
+  },
+  'GET /models/:id/transitions': {
+    operationId: 'getModelTransitions',
+    summary: 'Transition table of a Markov model',
+    tags: ['models'],
+    parameters: { game, id: modelId },
+    errors: [404],
+    response: object('Order, contexts and transition counts')
+  },
+  'GET /models/:id/coefficients': {
+    operationId: 'getModelCoefficients',
+    summary: 'Learned coefficients of a logistic model',
+    tags: ['models'],
+    parameters: { game, id: modelId },
+    errors: [404],
+    response: object('Coefficients')
+  },
+  'GET /challengers': {
+    operationId: 'listChallengers',
+    summary: 'Shadow challengers against the live ensemble with promotion decisions',
+    tags: ['models'],
+    parameters: { game, ...range },
+    errors: [503],
+    response: object('Promotion policy and one entry per challenger')
+  },
+  'GET /challengers/:id': {
+    operationId: 'getChallenger',
+    summary: 'One shadow challenger against the live ensemble',
+    tags: ['models'],
+    parameters: { game, id: modelId, ...range },
+    errors: [404, 503],
+    response: object('Comparison and promotion decision')
+  },
+  'GET /engines': {
+    operationId: 'listEngines',
+    summary: 'Logic-id registry with per-engine usage, hit rates and calibration',
+    tags: ['models'],
+    parameters: { game, ...range, bucketSize },
+    errors: [503],
+    response: object('Engines and logic ids')
+  },
+  'GET /draws': {
+    operationId: 'listDraws',
+    summary: 'Archived draws',
+    tags: ['draws'],
+    parameters: {
+      game,
+      ...range,
+      limit: limit(5000, 'Default 100'),
+      order: { in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } }
+    },
+    errors: [503],
+    response: array('Draws')
+  },
+  'GET /draws/gaps': {
+    operationId: 'listDrawGaps',
+    summary: 'Missing issue numbers in the archive',
+    tags: ['draws'],
+    parameters: { game, from: range.from, to: range.to },
+    errors: [503],
+    response: object('Gaps and the total number of missing draws')
+  },
+  'POST /draws/backfill': {
+    operationId: 'backfillDraws',
+    summary: 'Fetch missing draws from the draw source',
+    tags: ['draws'],
+    admin: true,
+    parameters: { game, from: range.from, to: range.to, maxRequests: limit(MAX_BACKFILL_REQUESTS, `Upstream request budget (default and maximum ${MAX_BACKFILL_REQUESTS})`) },
+    errors: [503],
+    response: object('Gaps, requests made and draws inserted')
+  },
+  'GET /backtest': {
+    operationId: 'runBacktest',
+    summary: 'Walk-forward backtest over archived draws (at most 20000)',
+    tags: ['draws'],
+    parameters: {
+      game,
+      ...range,
+      model: { in: 'query', schema: { type: 'string' }, description: 'ensemble (default) or a model id' },
+      window: { in: 'query', schema: { type: 'integer', minimum: 1 } },
+      warmup: { in: 'query', schema: { type: 'integer', minimum: 1 } },
+      minConfidence: { in: 'query', schema: { type: 'number', minimum: 0, maximum: 100 } },
+      trades: { in: 'query', schema: { type: 'boolean' }, description: 'Include every simulated trade' }
+    },
+    errors: [503],
+    response: object('Backtest report')
+  },
+  'GET /randomness': {
+    operationId: 'auditRandomness',
+    summary: 'Randomness test battery over archived draws (at most 20000)',
+    tags: ['draws'],
+    parameters: { game, ...range, alpha: { in: 'query', schema: { type: 'number', minimum: 0, maximum: 1 }, description: 'Significance level (default 0.01)' } },
+    errors: [503],
+    response: object('Test results')
+  },
+  'GET /randomness/history': {
+    operationId: 'listRandomnessAudits',
+    summary: 'Recorded daily randomness audits',
+    tags: ['draws'],
+    parameters: { game, limit: limit(365, 'Default 30') },
+    errors: [503],
+    response: array('Audits, newest first')
+  },
+  'GET /admin/models': {
+    operationId: 'adminListModels',
+    summary: 'Model types and configured models',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game },
+    response: object('Types and models')
+  },
+  'POST /admin/models': {
+    operationId: 'adminAddModel',
+    summary: 'Add a model at runtime (not written to the config file)',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game },
+    body: {
+      type: 'object',
+      required: ['id', 'type'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string' },
+        enabled: { type: 'boolean' },
+        params: { type: 'object' },
+        shadow: { type: 'boolean' },
+        replaces: { type: 'string' }
+      }
+    },
+    response: { status: 201, description: 'Models after the change', schema: { type: 'object' } }
+  },
+  'PATCH /admin/models/:id': {
+    operationId: 'adminSetModelEnabled',
+    summary: 'Enable or disable a model',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game, id: modelId },
+    body: { type: 'object', required: ['enabled'], properties: { enabled: { type: 'boolean' } } },
+    errors: [404],
+    response: object('Models after the change')
+  },
+  'DELETE /admin/models/:id': {
+    operationId: 'adminRemoveModel',
+    summary: 'Remove a model',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game, id: modelId },
+    errors: [404],
+    response: object('Models after the change')
+  },
+  'POST /admin/challengers/:id/promote': {
+    operationId: 'adminPromoteChallenger',
+    summary: 'Promote a challenger that meets the promotion rules (or any with force)',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game, id: modelId },
+    body: { type: 'object', properties: { force: { type: 'boolean' } } },
+    errors: [404, 409, 503],
+    response: object('Promoted and replaced ids with the models after the change')
+  },
+  'GET /admin/snapshots': {
+    operationId: 'adminListSnapshots',
+    summary: 'Model snapshots, newest first',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game, limit: limit(500, 'Default 50') },
+    errors: [503],
+    response: object('Snapshots')
+  },
+  'POST /admin/snapshots': {
+    operationId: 'adminTakeSnapshot',
+    summary: 'Snapshot the current model state',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game },
+    body: { type: 'object', properties: { reason: { type: 'string' } } },
+    errors: [503],
+    response: { status: 201, description: 'The new snapshot version', schema: { type: 'object' } }
+  },
+  'GET /admin/snapshots/diff': {
+    operationId: 'adminDiffSnapshots',
+    summary: 'Differences between two snapshots (or one and the live state)',
+    tags: ['admin'],
+    admin: true,
+    parameters: {
+      game,
+      from: { in: 'query', required: true, schema: { type: 'string', pattern: '^(\\d+|current)$' }, description: 'Version or current' },
+      to: { in: 'query', schema: { type: 'string', pattern: '^(\\d+|current)$' }, description: 'Version or current (default)' }
+    },
+    errors: [404, 503],
+    response: object('Settings and per-model differences')
+  },
+  'GET /admin/snapshots/:version': {
+    operationId: 'adminGetSnapshot',
+    summary: 'One snapshot',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game, version },
+    errors: [404, 503],
+    response: object('Snapshot')
+  },
+  'POST /admin/snapshots/:version/rollback': {
+    operationId: 'adminRollbackSnapshot',
+    summary: 'Restore a snapshot; the current state is saved first',
+    tags: ['admin'],
+    admin: true,
+    parameters: { game, version },
+    errors: [404, 503],
+    response: object('Restored and saved versions with the models after the change')
+  }
+};
+
+const EXPORT_SUMMARIES = {
+  predictions: 'Stream stored predictions',
+  draws: 'Stream archived draws',
+  models: 'Stream persisted models with their state',
+  'model-calls': 'Stream the per-model prediction log'
+};
+
+// Range filters each dataset understands: models has no period, only updated_at
+const EXPORT_PARAMETERS = {
+  models: {
+    since: { ...range.since, description: 'Models updated at or after this time' },
+    until: { ...range.until, description: 'Models updated at or before this time' }
+  },
+  'model-calls': { ...range, model_id: { in: 'query', schema: { type: 'string' }, description: 'Only this model' } }
+};
+
+for (const [dataset, { columns }] of Object.entries(EXPORT_DATASETS)) {
+  ROUTE_SPECS[`GET /export/${dataset}`] = {
+    operationId: `export${dataset.split('-').map(w => w[0].toUpperCase() + w.slice(1)).join('')}`,
+    summary: `${EXPORT_SUMMARIES[dataset]} as CSV or NDJSON`,
+    tags: ['exports'],
+    parameters: {
+      game,
+      ...(EXPORT_PARAMETERS[dataset] || range),
+      format: { in: 'query', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS) }, description: 'Default csv' },
+      columns: { in: 'query', schema: { type: 'string' }, description: `Comma-separated subset of: ${columns.join(', ')}` }
+    },
+    errors: [503],
+    response: { description: 'CSV with a header row (JSON columns as JSON text), or one JSON object per line', contentType: 'text/csv', schema: { type: 'string' } }
+  };
+}
+
+export { ROUTE_SPECS };
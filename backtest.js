@@ -0,0 +1,194 @@
+// backtest.js
+// Walk-forward backtesting of ModelManager (or a single model) over an ordered draw sequence.
+
+import path from 'path';
+import fs from 'fs';
+import { Worker } from 'worker_threads';
+import { ModelManager } from './model_manager.js';
+import { parseDraws } from './draw_sources.js';
+import { streakSummary } from './performance.js';
+import { NO_SIGNAL } from './abstain.js';
+
+const DEFAULT_WINDOW = 100; // same depth as the upstream past100 window
+const DEFAULT_WARMUP = 10;
+
+// Merge capture files (or a directory of them) into one ordered, de-duplicated sequence
+async function loadDrawsFromFiles(target) {
+  const stat = await fs.promises.stat(target);
+  const files = stat.isFile()
+    ? [target]
+    : (await fs.promises.readdir(target)).filter(f => f.endsWith('.json')).sort().map(f => path.join(target, f));
+
+  const byIssue = new Map();
+  for (const file of files) {
+    const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    for (const draw of parseDraws(data)) byIssue.set(String(draw.issueNumber), draw);
+  }
+  return [...byIssue.values()].sort((a, b) => (BigInt(a.issueNumber) < BigInt(b.issueNumber) ? -1 : 1));
+}
+
+// Wrap the ensemble or one of its models behind the same predict/learn calls
+function createSubject(settings) {
+  const manager = new ModelManager(settings.game);
+  if (typeof settings.minConfidence === 'number') manager.minConfidence = settings.minConfidence;
+
+  if (settings.model === 'ensemble') {
+    return {
+      manager,
+      predict: (history, context) => manager.predict(history, context),
+      // like the live loop: every model is credited for its own call
+      learn: (pred, isWin, context) => manager.learnFromModelCalls(
+        (pred.contributing || []).map(c => ({ modelId: c.id, correct: c.prediction === context.actual.resultType })),
+        context
+      )
+    };
+  }
+
+  const model = manager.models.find(m => m.id === settings.model);
+  if (!model) throw new Error(`Unknown model: ${settings.model}`);
+  manager.models = [model];
+  return {
+    manager,
+    predict: (history, context) => ({ ...model.predict(history, context), chosenModel: model.id }),
+    learn: (pred, isWin, context) => manager.learn(model.id, isWin, context)
+  };
+}
+
+function percent(wins, total) {
+  return total > 0 ? parseFloat(((wins / total) * 100).toFixed(2)) : 0;
+}
+
+// Replay `draws` (oldest first) in strict walk-forward order. Mirrors fetchAndProcess:
+// the prediction for draw i is made before the outcome of draw i-1 is learned, and
+// the loss streak / last prediction context is tracked the same way.
+function runBacktest(draws, options = {}) {
+  const settings = {
+    game: options.game || '1min',
+    model: options.model || 'ensemble',
+    window: parseInt(options.window) || DEFAULT_WINDOW,
+    warmup: Math.max(1, parseInt(options.warmup) || DEFAULT_WARMUP),
+    minConfidence: options.minConfidence != null && options.minConfidence !== '' ? Number(options.minConfidence) : undefined
+  };
+  const subject = createSubject(settings);
+  const evaluated = subject.manager.models.map(m => ({ model: m, predictions: 0, wins: 0 }));
+  const byChosen = {};
+  const outcomes = [];
+  const trades = [];
+
+  let consecutiveLosses = 0;
+  let lastPrediction = null;
+  let pending = null;
+
+  let abstentions = 0;
+
+  const resolve = (entry, actual) => {
+    if (entry.pred.prediction === NO_SIGNAL) {
+      // abstentions are not scored and train no weights; outcome-driven models still observe
+      abstentions++;
+      const history = draws.slice(Math.max(0, entry.index - settings.window), entry.index).reverse();
+      subject.manager.observeOutcome(actual, history);
+      return;
+    }
+    const isWin = entry.pred.prediction === actual.resultType;
+    outcomes.push(isWin);
+    const chosen = entry.pred.chosenModel || 'ensemble';
+    byChosen[chosen] = byChosen[chosen] || { predictions: 0, wins: 0 };
+    byChosen[chosen].predictions++;
+    if (isWin) byChosen[chosen].wins++;
+    if (options.includeTrades) {
+      trades.push({
+        period: actual.issueNumber,
+        prediction: entry.pred.prediction,
+        confidence: entry.pred.confidence,
+        actual: actual.resultType,
+        actualNumber: actual.number,
+        chosenModel: chosen,
+        win: isWin
+      });
+    }
+
+    if (isWin) consecutiveLosses = 0;
+    else consecutiveLosses++;
+    try {
+      const history = draws.slice(Math.max(0, entry.index - settings.window), entry.index).reverse();
+      subject.learn(entry.pred, isWin, { consecutiveLosses, actual, history });
+    } catch (err) {
+      console.warn('Backtest learning update failed:', err.message);
+    }
+  };
+
+  for (let i = settings.warmup; i < draws.length; i++) {
+    // history as the upstream serves it: newest first, at most `window` draws
+    const history = draws.slice(Math.max(0, i - settings.window), i).reverse().map(r => ({
+      resultType: r.resultType,
+      number: r.number,
+      createTime: r.createTime
+    }));
+    const context = { consecutiveLosses, lastPrediction };
+
+    const pred = subject.predict(history, context);
+    for (const e of evaluated) {
+      try {
+        const own = e.model.predict(history, context);
+        e.predictions++;
+        if (own && own.prediction === draws[i].resultType) e.wins++;
+      } catch (err) {
+        // a failing model simply scores no prediction for this draw
+      }
+    }
+
+    if (pending) resolve(pending, draws[pending.index]);
+    pending = { index: i, pred };
+    if (pred.prediction !== NO_SIGNAL) lastPrediction = pred.prediction;
+  }
+  if (pending) resolve(pending, draws[pending.index]);
+
+  const wins = outcomes.filter(Boolean).length;
+  const eligible = Math.max(0, draws.length - settings.warmup);
+  const state = subject.manager.dumpModelState();
+
+  return {
+    settings,
+    range: {
+      first: draws.length ? draws[0].issueNumber : null,
+      last: draws.length ? draws[draws.length - 1].issueNumber : null,
+      draws: draws.length
+    },
+    predictions: outcomes.length,
+    coveragePercent: percent(outcomes.length, eligible),
+    abstentions,
+    wins,
+    losses: outcomes.length - wins,
+    accuracyPercent: percent(wins, outcomes.length),
+    ...streakSummary(outcomes),
+    byChosenModel: Object.fromEntries(Object.entries(byChosen).map(([id, c]) => [id, { ...c, accuracyPercent: percent(c.wins, c.predictions) }])),
+    perModel: evaluated.map(e => {
+      const s = state.find(x => x.id === e.model.id) || {};
+      return {
+        id: e.model.id,
+        name: e.model.name,
+        predictions: e.predictions,
+        wins: e.wins,
+        accuracyPercent: percent(e.wins, e.predictions),
+        finalWeight: s.weight,
+        emaAccuracy: s.emaAccuracy
+      };
+    }),
+    ...(options.includeTrades ? { trades } : {})
+  };
+}
+
+// runBacktest() on a worker thread (backtest_worker.js), so a long range does not block the
+// caller's event loop; rejects with the worker's error message
+function runBacktestInWorker(draws, options = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./backtest_worker.js', import.meta.url), { workerData: { draws, options } });
+    worker.once('message', msg => (msg.error ? reject(new Error(msg.error)) : resolve(msg.report)));
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Backtest worker exited with code ${code}`));
+    });
+  });
+}
+
+export { loadDrawsFromFiles, runBacktest, runBacktestInWorker };
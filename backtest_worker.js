@@ -0,0 +1,11 @@
+// backtest_worker.js
+// Worker-thread entry for runBacktestInWorker(): runs one backtest and posts the report back.
+
+import { parentPort, workerData } from 'worker_threads';
+import { runBacktest } from './backtest.js';
+
+try {
+  parentPort.postMessage({ report: runBacktest(workerData.draws, workerData.options) });
+} catch (err) {
+  parentPort.postMessage({ error: err.message });
+}
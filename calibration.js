@@ -0,0 +1,102 @@
+// calibration.js
+// Confidence calibration of resolved predictions: reliability buckets, Brier score and log loss.
+
+import { predictionRangeSql } from './query_filters.js';
+
+const RESOLVED_STATUSES = ['✅ win', '❌ loss'];
+const LOG_LOSS_EPSILON = 1e-6; // keeps 100% / 0% stated confidence from producing infinite log loss
+
+// Stated confidence comes from the stored signal string ("78%") as a probability of winning
+const CONFIDENCE_SQL = `LEAST(GREATEST(NULLIF(regexp_replace(signal, '[^0-9.]', '', 'g'), '')::double precision / 100, 0), 1)`;
+
+// Aggregate per (model, logic, logic id, bucket) in SQL; everything else is rolled up from these cells
+async function loadCalibrationCells(pool, game, filters = {}) {
+  const bucketSize = Math.min(Math.max(parseInt(filters.bucketSize) || 5, 1), 50);
+  const range = predictionRangeSql(filters, 5);
+  const { rows } = await pool.query(
+    `WITH resolved AS (
+       SELECT COALESCE(model_id, 'unknown') AS model_id,
+              COALESCE(NULLIF(logic_used, ''), 'unknown') AS logic_used,
+              COALESCE(logic_id, 'unknown') AS logic_id,
+              ${CONFIDENCE_SQL} AS p,
+              CASE WHEN status = $2 THEN 1 ELSE 0 END AS y
+       FROM predictions
+       WHERE game = $1
+         AND status = ANY($3)
+         ${range.sql}
+     )
+     SELECT model_id, logic_used, logic_id,
+            LEAST(FLOOR(p * 100 / $4) * $4, 100 - $4)::int AS bucket,
+            COUNT(*)::int AS count,
+            SUM(y)::int AS wins,
+            SUM(p) AS sum_p,
+            SUM((p - y) ^ 2) AS sum_brier,
+            SUM(-(y * LN(GREATEST(p, $5)) + (1 - y) * LN(GREATEST(1 - p, $5)))) AS sum_log_loss
+     FROM resolved
+     WHERE p IS NOT NULL
+     GROUP BY model_id, logic_used, logic_id, bucket`,
+    [game.id, RESOLVED_STATUSES[0], RESOLVED_STATUSES, bucketSize, LOG_LOSS_EPSILON, ...range.params]
+  );
+  return { bucketSize, cells: rows };
+}
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+// Fold cells into one calibration summary (buckets + scores)
+function summarizeCells(cells, bucketSize) {
+  const buckets = new Map();
+  let count = 0, wins = 0, sumP = 0, sumBrier = 0, sumLogLoss = 0;
+
+  for (const c of cells) {
+    count += c.count;
+    wins += c.wins;
+    sumP += c.sum_p;
+    sumBrier += c.sum_brier;
+    sumLogLoss += c.sum_log_loss;
+
+    const b = buckets.get(c.bucket) || { count: 0, wins: 0, sumP: 0 };
+    b.count += c.count;
+    b.wins += c.wins;
+    b.sumP += c.sum_p;
+    buckets.set(c.bucket, b);
+  }
+
+  return {
+    count,
+    hitRate: count ? round(wins / count) : null,
+    meanConfidence: count ? round(sumP / count) : null,
+    brierScore: count ? round(sumBrier / count) : null,
+    logLoss: count ? round(sumLogLoss / count) : null,
+    buckets: [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([lower, b]) => ({
+        range: `${lower}-${lower + bucketSize}%`,
+        count: b.count,
+        wins: b.wins,
+        meanConfidence: round(b.sumP / b.count),
+        observedHitRate: round(b.wins / b.count),
+        gap: round(b.sumP / b.count - b.wins / b.count)
+      }))
+  };
+}
+
+function groupCells(cells, key, bucketSize) {
+  const groups = {};
+  for (const c of cells) (groups[c[key]] = groups[c[key]] || []).push(c);
+  return Object.fromEntries(Object.entries(groups).map(([k, v]) => [k, summarizeCells(v, bucketSize)]));
+}
+
+async function calibrationReport(pool, game, filters = {}) {
+  const { bucketSize, cells } = await loadCalibrationCells(pool, game, filters);
+  return {
+    game: game.id,
+    bucketSize,
+    overall: summarizeCells(cells, bucketSize),
+    byModel: groupCells(cells, 'model_id', bucketSize),
+    byLogic: groupCells(cells, 'logic_used', bucketSize)
+  };
+}
+
+export { calibrationReport, loadCalibrationCells, summarizeCells };
@@ -0,0 +1,92 @@
+// challengers.js
+// Champion/challenger evaluation: shadow models (config `shadow: true`) are scored on their
+// own calls in model_predictions and compared with the live ensemble over the same periods.
+
+import { binomialTest, wilsonInterval } from './stats_math.js';
+import { predictionRangeSql } from './query_filters.js';
+
+const RESOLVED_STATUSES = ['✅ win', '❌ loss'];
+
+const DEFAULT_PROMOTION_POLICY = {
+  mode: 'manual', // 'auto' promotes an eligible challenger on review; 'manual' waits for an admin
+  minSamples: 200, // periods both the challenger and the ensemble called
+  minImprovement: 0.02, // challenger accuracy minus ensemble accuracy
+  alpha: 0.05 // exact McNemar test on the periods where only one of them was right
+};
+
+function normalizePromotionPolicy(raw = {}) {
+  const policy = { ...DEFAULT_PROMOTION_POLICY };
+  if (raw.mode === 'auto' || raw.mode === 'manual') policy.mode = raw.mode;
+  if (Number.isInteger(raw.minSamples) && raw.minSamples >= 1) policy.minSamples = raw.minSamples;
+  for (const key of ['minImprovement', 'alpha']) {
+    if (typeof raw[key] === 'number' && raw[key] >= 0 && raw[key] <= 1) policy[key] = raw[key];
+  }
+  return policy;
+}
+
+function percent(value) {
+  return parseFloat((value * 100).toFixed(2));
+}
+
+// Head-to-head of one challenger against the published ensemble calls it shadowed
+async function compareWithChampion(pool, game, modelId, filters = {}) {
+  const range = predictionRangeSql(filters, 3, 'mp');
+  const { rows } = await pool.query(
+    `SELECT mp.correct AS challenger_correct,
+            CASE WHEN p.status = ANY($3) THEN p.status = '✅ win' END AS champion_correct
+     FROM model_predictions mp
+     JOIN predictions p ON p.game = mp.game AND p.period = mp.period AND p.actual IS NOT NULL
+     WHERE mp.game = $1 AND mp.model_id = $2 AND mp.correct IS NOT NULL
+       ${range.sql}`,
+    [game.id, modelId, RESOLVED_STATUSES, ...range.params]
+  );
+
+  const paired = rows.filter(r => r.champion_correct !== null);
+  const challengerWins = paired.filter(r => r.challenger_correct).length;
+  const championWins = paired.filter(r => r.champion_correct).length;
+  const challengerOnly = paired.filter(r => r.challenger_correct && !r.champion_correct).length;
+  const championOnly = paired.filter(r => !r.challenger_correct && r.champion_correct).length;
+  const abstained = rows.filter(r => r.champion_correct === null);
+  const n = paired.length;
+  const ci = wilsonInterval(challengerWins, n);
+
+  return {
+    game: game.id,
+    modelId,
+    periods: n,
+    challenger: {
+      wins: challengerWins,
+      accuracyPercent: n ? percent(challengerWins / n) : 0,
+      accuracyCI95: { lowerPercent: percent(ci.lower), upperPercent: percent(ci.upper) }
+    },
+    champion: {
+      wins: championWins,
+      accuracyPercent: n ? percent(championWins / n) : 0
+    },
+    improvementPercent: n ? percent((challengerWins - championWins) / n) : 0,
+    discordant: { challengerOnly, championOnly },
+    pValue: parseFloat(binomialTest(challengerOnly, challengerOnly + championOnly, 0.5).toPrecision(4)),
+    // periods the ensemble published NO_SIGNAL: the challenger's own record there
+    championAbstained: {
+      periods: abstained.length,
+      challengerWins: abstained.filter(r => r.challenger_correct).length
+    }
+  };
+}
+
+// Whether a comparison satisfies the policy; `unmet` lists the rules that failed
+function promotionDecision(policy, comparison) {
+  const unmet = [];
+  if (comparison.periods < policy.minSamples) unmet.push(`periods ${comparison.periods} < ${policy.minSamples}`);
+  const improvement = comparison.improvementPercent / 100;
+  if (improvement < policy.minImprovement) unmet.push(`improvement ${improvement.toFixed(4)} < ${policy.minImprovement}`);
+  if (comparison.pValue > policy.alpha) unmet.push(`p-value ${comparison.pValue} > ${policy.alpha}`);
+  return { eligible: unmet.length === 0, mode: policy.mode, unmet };
+}
+
+export {
+  DEFAULT_PROMOTION_POLICY,
+  normalizePromotionPolicy,
+  compareWithChampion,
+  promotionDecision
+};
@@ -0,0 +1,140 @@
+// cli.js
+// Command-line tools: node cli.js <command> [--option value ...]
+
+import fs from 'fs';
+import { createPool } from './db.js';
+import { getGame, DEFAULT_GAME } from './games.js';
+import { loadDrawSequence } from './draws_archive.js';
+import { loadDrawsFromFiles, runBacktest } from './backtest.js';
+import { FORMATS, DATASETS, exportColumns, writeExport } from './exports.js';
+
+// Load .env
+try {
+  const dotenv = await import('dotenv');
+  dotenv.config();
+} catch (err) {
+  // optional for the CLI
+}
+
+// --key value / --flag pairs into an object; bare words are collected in args._
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith('--')) {
+      args._.push(token);
+      continue;
+    }
+    const key = token.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+// Draws from --file (captures) or from the archive (--since/--until/--from/--to)
+async function loadDraws(game, args) {
+  if (args.file) return loadDrawsFromFiles(args.file);
+
+  const pool = createPool({ max: 1 });
+  if (!pool) throw new Error('No database configured: pass --file or set DATABASE_URL');
+  try {
+    return await loadDrawSequence(pool, game, args);
+  } finally {
+    await pool.end();
+  }
+}
+
+async function backtestCommand(args) {
+  const game = getGame(args.game || DEFAULT_GAME);
+  if (!game) throw new Error(`Unknown game: ${args.game}`);
+
+  const draws = await loadDraws(game, args);
+  const report = runBacktest(draws, { ...args, game: game.id, includeTrades: !!args.trades });
+
+  if (args.out) {
+    await fs.promises.writeFile(args.out, JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${args.out}`);
+  }
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`🎯 ${game.label} | model=${report.settings.model} | ${report.range.first} → ${report.range.last} (${report.range.draws} draws)`);
+  console.log(`   Predictions: ${report.predictions} (coverage ${report.coveragePercent}%, ${report.abstentions} abstentions)`);
+  console.log(`   Wins/Losses: ${report.wins}/${report.losses} → ${report.accuracyPercent}%`);
+  console.log(`   Streaks: max win ${report.maxWinStreak}, max loss ${report.maxLossStreak}`);
+  for (const m of report.perModel) {
+    console.log(`   ${m.id}: ${m.wins}/${m.predictions} → ${m.accuracyPercent}% (weight ${m.finalWeight?.toFixed(3)})`);
+  }
+}
+
+// node cli.js export predictions|draws|models|model-calls --out file [--format csv|ndjson] [range options]
+async function exportCommand(args) {
+  const game = getGame(args.game || DEFAULT_GAME);
+  if (!game) throw new Error(`Unknown game: ${args.game}`);
+  const dataset = args._[0];
+  if (!DATASETS[dataset]) throw new Error(`Export one of: ${Object.keys(DATASETS).join(', ')}`);
+  const format = args.format || 'csv';
+  if (!FORMATS[format]) throw new Error(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  const columns = exportColumns(dataset, args.columns);
+  const file = args.out || `${game.id}-${dataset}.${FORMATS[format].extension}`;
+
+  const pool = createPool({ max: 1 });
+  if (!pool) throw new Error('No database configured: set DATABASE_URL');
+  const out = fs.createWriteStream(file);
+  try {
+    const rows = await writeExport(pool, game, dataset, { format, columns, query: args }, out);
+    out.end();
+    await new Promise((resolve, reject) => out.on('finish', resolve).on('error', reject));
+    console.log(`📝 ${rows} ${dataset} rows written to ${file}`);
+  } catch (err) {
+    await fs.promises.rm(file, { force: true }); // no partial files
+    throw err;
+  } finally {
+    out.destroy();
+    await pool.end();
+  }
+}
+
+const commands = {
+  backtest: backtestCommand,
+  export: exportCommand
+};
+
+function usage() {
+  console.log(`Usage: node cli.js <command> [options]
+
+Commands:
+  backtest   Walk-forward backtest over archived or captured draws
+             --game 1min --model ensemble|KBT|AI_FLONZA
+             --file <capture file or dir> | --since/--until <time> | --from/--to <issue>
+             --window 100 --warmup 10 --minConfidence 65 --trades --json --out report.json
+  export     Stream stored rows to a CSV or NDJSON file
+             predictions|draws|models|model-calls --game 1min --format csv|ndjson --out <file>
+             --since/--until <time> | --from/--to <issue or time> --columns a,b --model_id <id> (model-calls)`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const handler = commands[command];
+  if (!handler) {
+    usage();
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+  try {
+    await handler(parseArgs(rest));
+  } catch (err) {
+    console.error(`❌ ${command} failed:`, err.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,29 @@
+// clock.js
+// Injectable clock for time-dependent engine code. The live loop pins the clock for each
+// prediction so /replay can re-run the engine at the same instant.
+
+const systemClock = () => Date.now();
+let source = systemClock;
+
+// current time in epoch milliseconds
+function now() {
+  return source();
+}
+
+// install a clock function (() => epoch ms); no argument restores the system clock
+function setClock(fn = systemClock) {
+  source = typeof fn === 'function' ? fn : systemClock;
+}
+
+// run fn with the clock fixed at `ms`, restoring the previous clock afterwards
+function withClock(ms, fn) {
+  const previous = source;
+  source = () => ms;
+  try {
+    return fn();
+  } finally {
+    source = previous;
+  }
+}
+
+export { now, setClock, withClock };
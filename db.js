@@ -0,0 +1,29 @@
+// db.js
+// Postgres connection settings shared by the server and the CLI.
+
+import pg from 'pg';
+
+const { Pool } = pg;
+
+// DATABASE_URL wins; otherwise build one from the libpq-style PG* variables
+function getConnectionString() {
+  return process.env.DATABASE_URL || 
+    (process.env.PGHOST ? 
+      `postgresql://${encodeURIComponent(process.env.PGUSER || 'postgres')}${process.env.PGPASSWORD ? ':' + encodeURIComponent(process.env.PGPASSWORD) : ''}@${process.env.PGHOST}:${process.env.PGPORT || '5432'}/${process.env.PGDATABASE || 'postgres'}` 
+      : null
+    );
+}
+
+// Returns null when no connection is configured
+function createPool(options = {}) {
+  const connectionString = getConnectionString();
+  if (!connectionString) return null;
+  return new Pool({ 
+    connectionString, 
+    max: 10,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    ...options
+  });
+}
+
+export { getConnectionString, createPool };
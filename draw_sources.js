@@ -0,0 +1,196 @@
+// draw_sources.js
+// Pluggable sources for raw Win Go draw payloads (live HTTP, recorder, offline replay).
+//
+// Every source exposes the same contract:
+//   fetchRaw() -> Promise<Array>  raw upstream payload (the past100_draws array)
+//   describe() -> string          short human-readable label used in logs / responses
+// and, when `supportsWindows` is true:
+//   fetchWindow(issueNumber) -> Promise<Array>  the 100 draws preceding a given issue (backfill)
+// parseDraws() turns any payload into { issueNumber, number, resultType, ... } so all
+// sources feed the exact same pipeline.
+
+import fetch from 'node-fetch';
+import path from 'path';
+import fs from 'fs';
+
+// Normalize a raw past100_draws payload (newest first)
+function parseDraws(data) {
+  if (!Array.isArray(data)) return [];
+  return data.map(item => ({
+    issueNumber: item.issueNumber || item.content?.issueNumber,
+    number: parseInt(item.content?.number || item.number),
+    resultType: (parseInt(item.content?.number || item.number) >= 5) ? 'BIG' : 'SMALL',
+    createTime: item.createTime || new Date().toISOString(),
+    colour: item.content?.colour || item.colour,
+    premium: item.content?.premium || item.premium
+  })).filter(item => item.issueNumber && !isNaN(item.number));
+}
+
+// Live upstream over HTTP
+class HttpDrawSource {
+  constructor(urlGenerator, windowUrlGenerator = null) {
+    this.kind = 'http';
+    this.urlGenerator = urlGenerator;
+    this.windowUrlGenerator = windowUrlGenerator;
+    this.supportsWindows = !!windowUrlGenerator;
+  }
+
+  async fetchRaw() {
+    return this.fetchUrl(this.urlGenerator());
+  }
+
+  async fetchWindow(issueNumber) {
+    return this.fetchUrl(this.windowUrlGenerator(issueNumber));
+  }
+
+  async fetchUrl(url) {
+    console.log('🔄 Fetching from:', url);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  describe() {
+    return `http:${this.urlGenerator()}`;
+  }
+}
+
+// Wraps another source and saves every raw payload to a timestamped JSON file
+class RecordingDrawSource {
+  constructor(inner, dir) {
+    this.kind = 'record';
+    this.inner = inner;
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.supportsWindows = !!inner.supportsWindows;
+  }
+
+  async fetchRaw() {
+    const data = await this.inner.fetchRaw();
+    await this.record(data);
+    return data;
+  }
+
+  // backfill windows are passed through but not recorded: replay serves live cycles only
+  async fetchWindow(issueNumber) {
+    return this.inner.fetchWindow(issueNumber);
+  }
+
+  async record(data) {
+    // file names sort chronologically so a replay of the directory preserves order
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.dir, `${stamp}.json`);
+    try {
+      await fs.promises.writeFile(file, JSON.stringify(data));
+    } catch (err) {
+      console.warn('Recording draw payload failed:', err.message);
+    }
+  }
+
+  describe() {
+    return `record:${this.dir} <- ${this.inner.describe()}`;
+  }
+}
+
+// Serves recorded payloads back, one capture per fetch, from a single file or a directory
+class ReplayDrawSource {
+  constructor(target, options = {}) {
+    this.kind = 'replay';
+    this.supportsWindows = true;
+    this.target = target;
+    this.loop = options.loop !== false;
+    this.files = this.listCaptures(target);
+    this.cursor = 0;
+    if (this.files.length === 0) {
+      throw new Error(`No draw captures found at ${target}`);
+    }
+  }
+
+  listCaptures(target) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) return [target];
+    return fs.readdirSync(target)
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .map(f => path.join(target, f));
+  }
+
+  async fetchRaw() {
+    if (this.cursor >= this.files.length) {
+      if (!this.loop) throw new Error('Replay exhausted');
+      this.cursor = 0;
+    }
+    const file = this.files[this.cursor++];
+    return this.readCapture(file);
+  }
+
+  // Serve the newest capture whose latest draw precedes the requested issue
+  async fetchWindow(issueNumber) {
+    if (!this.latestByFile) {
+      this.latestByFile = new Map();
+      for (const file of this.files) {
+        const [latest] = parseDraws(await this.readCapture(file));
+        if (latest) this.latestByFile.set(file, BigInt(latest.issueNumber));
+      }
+    }
+    const target = BigInt(issueNumber);
+    let best = null;
+    for (const [file, latest] of this.latestByFile) {
+      if (latest < target && (!best || latest > best.latest)) best = { file, latest };
+    }
+    return best ? this.readCapture(best.file) : [];
+  }
+
+  async readCapture(file) {
+    const raw = await fs.promises.readFile(file, 'utf8');
+    return JSON.parse(raw);
+  }
+
+  describe() {
+    return `replay:${this.target} (${this.cursor}/${this.files.length})`;
+  }
+}
+
+// Build the configured source. Config keys map to env vars in server.js:
+//   kind       DRAW_SOURCE         'http' (default) | 'record' | 'replay'
+//   recordDir  DRAW_RECORD_DIR     target directory for the recorder
+//   replayPath DRAW_REPLAY_PATH    capture file or directory for replay
+//   replayLoop DRAW_REPLAY_LOOP    'false' stops after the last capture
+// options.scope (the game id) gives each game its own capture subdirectory;
+// options.sharedReplay lets that game replay replayPath itself (a single file or flat directory)
+// when its subdirectory is missing; options.windowUrlGenerator(issueNumber) enables
+// fetchWindow() on HTTP sources.
+function createDrawSource(config = {}, urlGenerator, options = {}) {
+  const { scope = null, sharedReplay = false, windowUrlGenerator = null } = options;
+  const kind = (config.kind || 'http').toLowerCase();
+  switch (kind) {
+    case 'http':
+      return new HttpDrawSource(urlGenerator, windowUrlGenerator);
+    case 'record': {
+      const base = config.recordDir || 'captures';
+      return new RecordingDrawSource(new HttpDrawSource(urlGenerator, windowUrlGenerator), scope ? path.join(base, scope) : base);
+    }
+    case 'replay': {
+      if (!config.replayPath) throw new Error('DRAW_REPLAY_PATH is required for replay source');
+      // only a game allowed to share the path may fall back to it; any other game without
+      // its own subdirectory cannot run, so it never replays another game's captures
+      const scoped = scope ? path.join(config.replayPath, scope) : config.replayPath;
+      const target = fs.existsSync(scoped) || !sharedReplay ? scoped : config.replayPath;
+      if (!fs.existsSync(target)) throw new Error(`No replay captures for ${scope} (expected ${scoped})`);
+      return new ReplayDrawSource(target, { loop: config.replayLoop !== 'false' && config.replayLoop !== false });
+    }
+    default:
+      throw new Error(`Unknown draw source: ${kind}`);
+  }
+}
+
+export {
+  parseDraws,
+  HttpDrawSource,
+  RecordingDrawSource,
+  ReplayDrawSource,
+  createDrawSource
+};
@@ -0,0 +1,227 @@
+// draws_archive.js
+// Durable archive of every raw draw seen upstream, with gap detection and window backfill.
+
+import { parseDraws } from './draw_sources.js';
+import { drawsPerDay } from './games.js';
+import { rangeFilters } from './query_filters.js';
+
+// Issue numbers: YYYYMMDD + 5-digit game type code + 4-digit daily counter (starting at 0001)
+const ISSUE_DAY_LENGTH = 13;
+
+// Create the draws table if missing (called at startup, like ModelManager.init)
+async function ensureDrawsTable(pool) {
+  if (!pool) return;
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS draws (
+      game TEXT NOT NULL,
+      issue_number TEXT NOT NULL,
+      number INTEGER NOT NULL,
+      result_type TEXT NOT NULL,
+      colour TEXT,
+      premium TEXT,
+      create_time TEXT,
+      draw_time TIMESTAMPTZ,
+      first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (game, issue_number)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_draws_game_draw_time ON draws(game, draw_time);
+  `);
+}
+
+function toTimestamp(createTime) {
+  const t = new Date(createTime);
+  return isNaN(t.getTime()) ? null : t.toISOString();
+}
+
+// Upsert a parsed draw window; returns the number of previously unseen draws
+async function upsertDraws(pool, game, draws) {
+  if (!pool || !Array.isArray(draws) || draws.length === 0) return 0;
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO draws (game, issue_number, number, result_type, colour, premium, create_time, draw_time)
+       SELECT $1, * FROM UNNEST($2::text[], $3::int[], $4::text[], $5::text[], $6::text[], $7::text[], $8::timestamptz[])
+       ON CONFLICT (game, issue_number) DO UPDATE SET
+         number = EXCLUDED.number,
+         result_type = EXCLUDED.result_type,
+         colour = COALESCE(EXCLUDED.colour, draws.colour),
+         premium = COALESCE(EXCLUDED.premium, draws.premium),
+         create_time = COALESCE(EXCLUDED.create_time, draws.create_time),
+         draw_time = COALESCE(EXCLUDED.draw_time, draws.draw_time),
+         updated_at = NOW()
+       -- every poll re-sends ~100 known draws; only rows whose values change are rewritten
+       WHERE (draws.number, draws.result_type, draws.colour, draws.premium, draws.create_time, draws.draw_time)
+         IS DISTINCT FROM (EXCLUDED.number, EXCLUDED.result_type, COALESCE(EXCLUDED.colour, draws.colour),
+           COALESCE(EXCLUDED.premium, draws.premium), COALESCE(EXCLUDED.create_time, draws.create_time),
+           COALESCE(EXCLUDED.draw_time, draws.draw_time))
+       RETURNING (xmax = 0) AS inserted`,
+      [
+        game.id,
+        draws.map(d => String(d.issueNumber)),
+        draws.map(d => d.number),
+        draws.map(d => d.resultType),
+        draws.map(d => (d.colour == null ? null : String(d.colour))),
+        draws.map(d => (d.premium == null ? null : String(d.premium))),
+        draws.map(d => d.createTime || null),
+        draws.map(d => toTimestamp(d.createTime))
+      ]
+    );
+    return rows.filter(r => r.inserted).length;
+  } catch (err) {
+    console.error('Failed to archive draws:', err.message);
+    return 0;
+  }
+}
+
+// Range query over the archive. Filters: issue or time range (from/to), time range (since/until)
+async function queryDraws(pool, game, filters = {}) {
+  const { fromIssue, toIssue, since, until } = rangeFilters(filters);
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 5000);
+  const order = String(filters.order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+  const { rows } = await pool.query(
+    `SELECT game, issue_number, number, result_type, colour, premium, create_time, draw_time, first_seen_at
+     FROM draws
+     WHERE game = $1
+       AND ($2::text IS NULL OR issue_number >= $2)
+       AND ($3::text IS NULL OR issue_number <= $3)
+       AND ($4::timestamptz IS NULL OR draw_time >= $4)
+       AND ($5::timestamptz IS NULL OR draw_time <= $5)
+     ORDER BY issue_number ${order}
+     LIMIT $6`,
+    [game.id, fromIssue, toIssue, since, until, limit]
+  );
+  return rows;
+}
+
+// Full ordered sequence (oldest first) in the pipeline's draw shape, for analysis and backtests.
+// options.limit caps the rows read; pass max + 1 to detect a range that is too large.
+async function loadDrawSequence(pool, game, filters = {}, { limit = null } = {}) {
+  const { fromIssue, toIssue, since, until } = rangeFilters(filters);
+  const { rows } = await pool.query(
+    `SELECT issue_number, number, result_type, colour, premium, create_time
+     FROM draws
+     WHERE game = $1
+       AND ($2::text IS NULL OR issue_number >= $2)
+       AND ($3::text IS NULL OR issue_number <= $3)
+       AND ($4::timestamptz IS NULL OR draw_time >= $4)
+       AND ($5::timestamptz IS NULL OR draw_time <= $5)
+     ORDER BY issue_number ASC
+     LIMIT $6`,
+    [game.id, fromIssue, toIssue, since, until, limit]
+  );
+  return rows.map(r => ({
+    issueNumber: r.issue_number,
+    number: r.number,
+    resultType: r.result_type,
+    createTime: r.create_time,
+    colour: r.colour,
+    premium: r.premium
+  }));
+}
+
+// Expand the issue numbers missing between two archived neighbours
+function missingBetween(game, after, before, cap) {
+  const perDay = drawsPerDay(game);
+  const issues = [];
+  let cursor = BigInt(after);
+  const end = BigInt(before);
+  while (issues.length < cap) {
+    cursor += 1n;
+    let text = cursor.toString();
+    // roll over to the next day's first draw once the daily counter is exhausted
+    if (parseInt(text.slice(ISSUE_DAY_LENGTH)) > perDay) {
+      const day = text.slice(0, 8);
+      const next = new Date(Date.UTC(+day.slice(0, 4), +day.slice(4, 6) - 1, +day.slice(6, 8) + 1));
+      text = next.toISOString().slice(0, 10).replace(/-/g, '') + game.typeCode + '0001';
+      cursor = BigInt(text);
+    }
+    if (cursor >= end) break;
+    issues.push(text);
+  }
+  return issues;
+}
+
+// Find holes in the archived issue sequence. Within a day the counter must be
+// contiguous; across a day change the previous day must end on its last draw
+// and the next day must start at 0001.
+async function findGaps(pool, game, filters = {}) {
+  const { fromIssue, toIssue } = rangeFilters(filters);
+  const { rows } = await pool.query(
+    `SELECT prev_issue, issue_number FROM (
+       SELECT issue_number, LAG(issue_number) OVER (ORDER BY issue_number) AS prev_issue
+       FROM draws
+       WHERE game = $1
+         AND ($2::text IS NULL OR issue_number >= $2)
+         AND ($3::text IS NULL OR issue_number <= $3)
+     ) seq
+     WHERE prev_issue IS NOT NULL AND (
+       (LEFT(issue_number, ${ISSUE_DAY_LENGTH}) = LEFT(prev_issue, ${ISSUE_DAY_LENGTH})
+         AND RIGHT(issue_number, 4)::int - RIGHT(prev_issue, 4)::int > 1)
+       OR (LEFT(issue_number, ${ISSUE_DAY_LENGTH}) <> LEFT(prev_issue, ${ISSUE_DAY_LENGTH})
+         AND (RIGHT(prev_issue, 4)::int < $4 OR RIGHT(issue_number, 4)::int > 1))
+     )
+     ORDER BY issue_number`,
+    [game.id, fromIssue, toIssue, drawsPerDay(game)]
+  );
+
+  return rows.map(r => {
+    const issues = missingBetween(game, r.prev_issue, r.issue_number, 500);
+    return { after: r.prev_issue, before: r.issue_number, missing: issues.length, issues };
+  });
+}
+
+// Fill gaps from the source's overlapping past100 windows, walking backwards
+// from the draw after each gap until it is covered or the request budget runs out.
+// Upstream window requests per backfill run; callers may ask for fewer, never more
+const MAX_BACKFILL_REQUESTS = 20;
+
+async function backfillGaps(pool, game, source, options = {}) {
+  const maxRequests = Math.min(Math.max(parseInt(options.maxRequests) || MAX_BACKFILL_REQUESTS, 1), MAX_BACKFILL_REQUESTS);
+  if (!pool) return { gaps: 0, requests: 0, inserted: 0 };
+  if (!source.supportsWindows) {
+    return { gaps: 0, requests: 0, inserted: 0, skipped: `source ${source.kind} cannot fetch windows` };
+  }
+
+  const gaps = await findGaps(pool, game, options);
+  let requests = 0;
+  let inserted = 0;
+
+  for (const gap of gaps) {
+    let key = BigInt(gap.before);
+    while (requests < maxRequests) {
+      requests++;
+      let draws = [];
+      try {
+        draws = parseDraws(await source.fetchWindow(key.toString()));
+      } catch (err) {
+        console.warn(`Backfill window ${key} failed:`, err.message);
+      }
+      if (draws.length === 0) break;
+      inserted += await upsertDraws(pool, game, draws);
+
+      const earliest = draws.reduce((min, d) => {
+        const n = BigInt(d.issueNumber);
+        return n < min ? n : min;
+      }, key);
+      // stop once the window reaches back past the gap or makes no progress
+      if (earliest <= BigInt(gap.after) || earliest >= key) break;
+      key = earliest;
+    }
+    if (requests >= maxRequests) break;
+  }
+
+  return { gaps: gaps.length, requests, inserted };
+}
+
+export {
+  MAX_BACKFILL_REQUESTS,
+  ensureDrawsTable,
+  upsertDraws,
+  queryDraws,
+  loadDrawSequence,
+  findGaps,
+  backfillGaps
+};
@@ -0,0 +1,145 @@
+// engines.js
+// Logic-id registry: every rule a model or the ensemble can decide by, grouped into engines
+// with display metadata, plus per-engine usage, hit rate and calibration from the database.
+
+import { predictionRangeSql } from './query_filters.js';
+import { loadCalibrationCells, summarizeCells } from './calibration.js';
+
+const RESOLVED_STATUSES = ['✅ win', '❌ loss'];
+const DEFAULT_ENGINE_NAME = 'Trend Logic'; // display name for ids nobody registered
+
+const engines = new Map();
+const logics = new Map();
+
+function registerEngine(id, { displayName, description = '' }) {
+  if (!id || !displayName) throw new Error('registerEngine needs an id and a displayName');
+  engines.set(id, { id, displayName, description });
+}
+
+// owner: the model type (or 'ensemble') whose predict() returns `logic`
+function registerLogic({ owner, logic, engine, description = '', displayName = null }) {
+  if (!owner || logic === undefined || logic === null) throw new Error('registerLogic needs an owner and a logic');
+  if (!engines.has(engine)) throw new Error(`Unknown engine: ${engine}`);
+  const id = logicIdFor(owner, logic);
+  logics.set(id, { id, owner, logic, engine, description, displayName: displayName || engines.get(engine).displayName });
+}
+
+// stable id stored with each prediction: "<owner>:<logic>", e.g. "kbt:25"
+function logicIdFor(owner, logic) {
+  return `${owner}:${logic}`;
+}
+
+function getLogic(id) {
+  return logics.get(id) || null;
+}
+
+function listEngines() {
+  return [...engines.values()].map(e => ({ ...e, logicIds: [...logics.values()].filter(l => l.engine === e.id).map(l => l.id) }));
+}
+
+function listLogic() {
+  return [...logics.values()];
+}
+
+registerEngine('pattern-bias', { displayName: 'Pattern Bias', description: 'KBT streak, alternation, mirror and distribution reversal rules' });
+registerEngine('machine-learning', { displayName: 'Machine Learning', description: 'KBT neural-network and ML-style heuristics' });
+registerEngine('fibonacci', { displayName: 'Fibonacci Engine', description: 'KBT Fibonacci retracement of the BIG share' });
+registerEngine('loss-recovery', { displayName: 'Loss Recovery', description: 'KBT reversal of the last call after consecutive losses' });
+registerEngine('advanced-ai', { displayName: 'Advanced AI', description: 'FLONZA hybrid pattern/colour analysis' });
+registerEngine('markov', { displayName: 'Markov Chain', description: 'Order-k Markov transition probabilities' });
+registerEngine('logistic', { displayName: 'Logistic Regression', description: 'Online logistic regression on helper features' });
+registerEngine('ensemble', { displayName: 'Hybrid AI', description: 'Decisions made by ModelManager itself rather than one model' });
+
+[
+  [1, 'pattern-bias', 'Reverse a streak of 3 or more'],
+  [3, 'pattern-bias', 'Reverse an alternating run'],
+  [4, 'pattern-bias', 'Reverse a repeated last result (no other rule fired)'],
+  [5, 'pattern-bias', 'Reverse a triple'],
+  [6, 'pattern-bias', 'Mirror pattern (ABAB)'],
+  [8, 'pattern-bias', 'Revert a stable 30-draw BIG/SMALL imbalance; also the short-history fallback'],
+  [12, 'pattern-bias', 'Reverse the last result (no other rule fired)'],
+  [19, 'machine-learning', 'Neural-network style weighted window'],
+  [22, 'loss-recovery', 'Reverse the last call after 2+ consecutive losses'],
+  [25, 'fibonacci', 'Fibonacci retracement level of the BIG share'],
+  [28, 'machine-learning', 'Streak/alternation/ratio heuristics']
+].forEach(([logic, engine, description]) => registerLogic({ owner: 'kbt', logic, engine, description }));
+
+registerLogic({ owner: 'ai', logic: 'FLONZA_V4_ENHANCED', engine: 'advanced-ai', description: 'Weighted vote of the four FLONZA sub-models' });
+registerLogic({ owner: 'ai', logic: 'fallback', engine: 'advanced-ai', description: 'Fewer than 10 draws of history' });
+for (let k = 1; k <= 8; k++) {
+  registerLogic({ owner: 'markov', logic: `k${k}`, engine: 'markov', description: `Transition row of an order-${k} context` });
+}
+registerLogic({ owner: 'markov', logic: 'unseen-context', engine: 'markov', description: 'Context never observed: smoothed prior' });
+registerLogic({ owner: 'markov', logic: 'insufficient-history', engine: 'markov', description: 'History shorter than the order' });
+registerLogic({ owner: 'logistic', logic: 'logit', engine: 'logistic', description: 'Sigmoid of the learned feature weights' });
+registerLogic({ owner: 'logistic', logic: 'insufficient-history', engine: 'logistic', description: 'Fewer than 20 draws of history' });
+registerLogic({ owner: 'ensemble', logic: 'enhanced', engine: 'ensemble', description: 'Strong consensus with pattern confirmation' });
+registerLogic({ owner: 'ensemble', logic: 'low-consensus-bias', engine: 'ensemble', description: 'Close top scores: follow the recent 20-draw bias' });
+registerLogic({ owner: 'ensemble', logic: 'no-models', engine: 'ensemble', description: 'No enabled models' });
+registerLogic({ owner: 'ensemble', logic: 'pooled-probability', engine: 'ensemble', description: 'Pooled P(BIG) overrules every model\'s own call' });
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+function usageOf(rows) {
+  const predictions = rows.reduce((s, r) => s + r.predictions, 0);
+  const resolved = rows.reduce((s, r) => s + r.resolved, 0);
+  const wins = rows.reduce((s, r) => s + r.wins, 0);
+  return { predictions, resolved, wins, losses: resolved - wins, hitRate: resolved ? round(wins / resolved) : null };
+}
+
+// Usage, hit rate and calibration per logic id and per engine. Predictions stored before
+// logic ids were recorded are reported under "unknown".
+async function engineReport(pool, game, filters = {}) {
+  const range = predictionRangeSql(filters, 2);
+  const { rows } = await pool.query(
+    `SELECT COALESCE(logic_id, 'unknown') AS logic_id,
+            COUNT(*)::int AS predictions,
+            COUNT(*) FILTER (WHERE status = ANY($2))::int AS resolved,
+            COUNT(*) FILTER (WHERE status = '✅ win')::int AS wins
+     FROM predictions
+     WHERE game = $1
+       ${range.sql}
+     GROUP BY 1`,
+    [game.id, RESOLVED_STATUSES, ...range.params]
+  );
+  const { bucketSize, cells } = await loadCalibrationCells(pool, game, filters);
+  const engineOf = id => (logics.get(id) || {}).engine || 'unknown';
+
+  const logic = {};
+  for (const r of rows) {
+    const entry = logics.get(r.logic_id);
+    logic[r.logic_id] = {
+      ...(entry ? { owner: entry.owner, engine: entry.engine, displayName: entry.displayName, description: entry.description } : { engine: 'unknown' }),
+      ...usageOf([r]),
+      calibration: summarizeCells(cells.filter(c => c.logic_id === r.logic_id), bucketSize)
+    };
+  }
+
+  const byEngine = {};
+  for (const e of [...listEngines(), { id: 'unknown', displayName: DEFAULT_ENGINE_NAME, description: 'Predictions without a registered logic id', logicIds: [] }]) {
+    const used = rows.filter(r => engineOf(r.logic_id) === e.id);
+    if (used.length === 0 && e.id === 'unknown') continue;
+    byEngine[e.id] = {
+      displayName: e.displayName,
+      description: e.description,
+      logicIds: e.logicIds,
+      ...usageOf(used),
+      calibration: summarizeCells(cells.filter(c => engineOf(c.logic_id) === e.id), bucketSize)
+    };
+  }
+
+  return { game: game.id, bucketSize, engines: byEngine, logic };
+}
+
+export {
+  DEFAULT_ENGINE_NAME,
+  registerEngine,
+  registerLogic,
+  logicIdFor,
+  getLogic,
+  listEngines,
+  listLogic,
+  engineReport
+};
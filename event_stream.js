@@ -0,0 +1,117 @@
+// event_stream.js
+// Live push of loop events (predictions, resolutions, model updates) over SSE and WebSocket.
+
+import { WebSocketServer } from 'ws';
+
+const BUFFER_SIZE = 1000; // events kept in memory for resume-from-last-event-id
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000;
+
+// In-memory event log with monotonically increasing ids and live subscribers. Ids start at
+// the process start time in ms, so after a restart they stay above every id a client saw before.
+class EventHub {
+  constructor(bufferSize = BUFFER_SIZE) {
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.lastId = Date.now();
+    this.subscribers = new Set();
+  }
+
+  publish(type, game, data) {
+    const event = { id: ++this.lastId, type, game, timestamp: new Date().toISOString(), data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    for (const fn of this.subscribers) {
+      try {
+        fn(event);
+      } catch (err) {
+        console.warn('Stream subscriber failed:', err.message);
+      }
+    }
+    return event;
+  }
+
+  // Buffered events after `lastEventId`, optionally for one game
+  since(lastEventId, game = null) {
+    const after = parseInt(lastEventId);
+    if (!Number.isFinite(after)) return [];
+    return this.buffer.filter(e => e.id > after && (!game || e.game === game));
+  }
+
+  subscribe(fn) {
+    this.subscribers.add(fn);
+    return () => this.subscribers.delete(fn);
+  }
+}
+
+// GET handler: text/event-stream, resumes from Last-Event-ID header or ?lastEventId=
+function sseHandler(hub) {
+  return (req, res) => {
+    const game = req.query.game || null;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = event => {
+      if (game && event.game !== game) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    res.write(`retry: 5000\n\n`);
+    hub.since(req.get('Last-Event-ID') ?? req.query.lastEventId, game).forEach(send);
+
+    const unsubscribe = hub.subscribe(send);
+    const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  };
+}
+
+// WebSocket endpoint on the HTTP server. Clients may pass ?game= and ?lastEventId=
+// on connect, or send { "type": "resume", "lastEventId": n } at any time.
+function attachWebSocket(server, hub, path = '/stream/ws') {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on('connection', (socket, req) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const game = params.get('game');
+    const send = event => {
+      if (game && event.game !== game) return;
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(event));
+    };
+
+    hub.since(params.get('lastEventId'), game).forEach(send);
+    const unsubscribe = hub.subscribe(send);
+
+    let alive = true;
+    socket.on('pong', () => { alive = true; });
+    const heartbeat = setInterval(() => {
+      if (!alive) return socket.terminate();
+      alive = false;
+      socket.ping();
+      socket.send(JSON.stringify({ type: 'heartbeat', lastEventId: hub.lastId, timestamp: new Date().toISOString() }));
+    }, HEARTBEAT_MS);
+
+    socket.on('message', raw => {
+      try {
+        const msg = JSON.parse(raw.toString());
+        if (msg.type === 'resume') hub.since(msg.lastEventId, game).forEach(send);
+      } catch (err) {
+        // ignore malformed client messages
+      }
+    });
+    socket.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return wss;
+}
+
+export { EventHub, sseHandler, attachWebSocket };
@@ -0,0 +1,64 @@
+// explain.js
+// Human-readable rendering of the decision trace ModelManager.predict stores with every prediction.
+
+import { getEngineName } from './ensemble.js';
+import { logicIdFor } from './engines.js';
+
+const BRANCHES = {
+  'no-models': () => 'No models were enabled, so nothing was predicted.',
+  single_model: () => 'Only one model was enabled; its call was taken as is.',
+  enhanced_consensus: () => 'Strong consensus with pattern confirmation: the enhanced ensemble call was taken.',
+  top_score: t => `No strong consensus: the highest-scoring model (confidence × weight) was taken; score gap to the runner-up ${t.scoreGap}.`,
+  top_score_low_consensus: t =>
+    `Top two scores within ${t.thresholds.scoreGap} (gap ${t.scoreGap}) and no recent bias (BIG share ${pct(t.bias)}): the top model was taken with lowered confidence.`,
+  'fallback-low-consensus-bias': t =>
+    `Top two scores within ${t.thresholds.scoreGap} (gap ${t.scoreGap}): the call followed the last 20 draws' bias (BIG share ${pct(t.bias)}).`
+};
+
+function pct(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function modelLines(m) {
+  const lines = [`${m.id} (weight ${Number(m.weight).toFixed(2)}, score ${m.score}): ${m.prediction} ${m.confidence}%, P(BIG) ${m.pBig ?? 'n/a'}, logic ${m.logic}`];
+  const t = m.trace || {};
+  const owner = m.logicId ? m.logicId.split(':')[0] : 'kbt'; // traces predating logic ids came from KBT
+  for (const c of t.candidates || []) {
+    const selected = c.logic === t.selectedLogic && c.prediction === m.prediction && c.confidence === m.confidence;
+    lines.push(`  rule ${c.logic} (${getEngineName(logicIdFor(owner, c.logic))}): ${c.prediction} ${c.confidence}%${selected ? ' ← selected' : ''}`);
+  }
+  for (const s of t.subModels || []) {
+    lines.push(`  ${s.model}: ${s.prediction ?? '-'}${s.confidence != null ? ` ${s.confidence}%` : ''}`);
+  }
+  if (typeof t.stabilityFactor === 'number') lines.push(`  stability factor ${t.stabilityFactor.toFixed(3)}`);
+  return lines;
+}
+
+// row: the stored predictions row (prediction, signal, p_big, logic_id, actual, actual_number, status, trace)
+function describeTrace(row) {
+  const t = row.trace;
+  const lines = [`Published ${row.prediction} at ${row.signal}${row.p_big != null ? `, P(BIG) ${row.p_big}` : ''}.`];
+  if (row.logic_id) lines.push(`Decided by ${row.logic_id} (${getEngineName(row.logic_id)}).`);
+  const priced = t.models.filter(m => m.pBig !== null && m.pBig !== undefined).length;
+  // == null: the no-models trace (and traces stored before pooling) carry no pooledPBig at all
+  lines.push(t.pooledPBig == null ? 'No model offered a P(BIG); nothing was pooled.' : `Pooled P(BIG) across ${priced} model(s): ${t.pooledPBig}.`);
+  for (const m of t.models) lines.push(...modelLines(m));
+  if (t.consensus) {
+    lines.push(
+      `Consensus: ${pct(t.consensus.agreement)} of models on ${t.consensus.prediction} (needs more than ${pct(t.thresholds.agreement)}); ` +
+      `pattern overlap ${t.patternOverlap.score.toFixed(2)} (needs more than ${t.thresholds.patternOverlap}).`
+    );
+    lines.push(`Reliability: ${Object.entries(t.reliability).map(([id, r]) => `${id} ${r.toFixed(2)}`).join(', ')}.`);
+  }
+  if (BRANCHES[t.branch]) lines.push(BRANCHES[t.branch](t));
+  if (t.override) {
+    const credited = t.override.creditedModel || `the ensemble (no model called ${t.override.pooled})`;
+    lines.push(`Pooled probability favours ${t.override.pooled}, overriding the heuristic ${t.override.heuristic}; credited to ${credited}.`);
+  }
+  if (t.confidenceFloor) lines.push(`Confidence raised from ${t.confidenceFloor.raw}% to the ${t.confidenceFloor.applied}% floor.`);
+  if (t.abstain && t.abstain.length > 0) lines.push(`Abstained: ${t.abstain.join('; ')}.`);
+  if (row.actual) lines.push(`Result: ${row.actual}${row.actual_number != null ? ` (${row.actual_number})` : ''}, ${row.status}.`);
+  return lines;
+}
+
+export { describeTrace };
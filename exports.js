@@ -0,0 +1,137 @@
+// exports.js
+// Streaming CSV / NDJSON export of stored predictions, draws, models and per-model calls. Rows are
+// read in keyset batches and written as they arrive, so memory stays flat for any range.
+
+import { once } from 'events';
+import { rangeFilters, predictionRangeSql } from './query_filters.js';
+
+const BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 1000;
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+// key: the unique column batches are paged on (per game), in its SQL type
+const DATASETS = {
+  predictions: {
+    table: 'predictions',
+    key: { column: 'id', type: 'int' },
+    columns: ['id', 'game', 'period', 'prediction', 'actual', 'actual_number', 'status', 'signal', 'p_big', 'model_id',
+      'logic_used', 'logic_id', 'patterns', 'contributors', 'trace', 'created_at', 'updated_at'],
+    range: (query, offset) => predictionRangeSql(query, offset)
+  },
+  draws: {
+    table: 'draws',
+    key: { column: 'issue_number', type: 'text' },
+    columns: ['game', 'issue_number', 'number', 'result_type', 'colour', 'premium', 'create_time', 'draw_time', 'first_seen_at', 'updated_at'],
+    range: (query, offset) => {
+      const { fromIssue, toIssue, since, until } = rangeFilters(query);
+      const n = i => `$${offset + i}`;
+      return {
+        sql: `AND (${n(1)}::text IS NULL OR issue_number >= ${n(1)})
+       AND (${n(2)}::text IS NULL OR issue_number <= ${n(2)})
+       AND (${n(3)}::timestamptz IS NULL OR draw_time >= ${n(3)})
+       AND (${n(4)}::timestamptz IS NULL OR draw_time <= ${n(4)})`,
+        params: [fromIssue, toIssue, since, until]
+      };
+    }
+  },
+  // each model's persisted weight, record and serialized state; since/until apply to updated_at
+  models: {
+    table: 'models',
+    key: { column: 'id', type: 'text' },
+    columns: ['game', 'id', 'name', 'weight', 'wins', 'losses', 'ema_accuracy', 'state', 'updated_at'],
+    range: (query, offset) => {
+      const { since, until } = rangeFilters(query);
+      const n = i => `$${offset + i}`;
+      return {
+        sql: `AND (${n(1)}::timestamptz IS NULL OR updated_at >= ${n(1)})
+       AND (${n(2)}::timestamptz IS NULL OR updated_at <= ${n(2)})`,
+        params: [since, until]
+      };
+    }
+  },
+  // the per-model prediction log: every model's own call per period and how it resolved
+  'model-calls': {
+    table: 'model_predictions',
+    key: { column: 'id', type: 'int' },
+    columns: ['id', 'game', 'period', 'model_id', 'prediction', 'confidence', 'p_big', 'actual', 'correct', 'created_at', 'resolved_at'],
+    range: (query, offset) => {
+      const range = predictionRangeSql(query, offset);
+      const model = `$${offset + 5}`;
+      return {
+        sql: `${range.sql}
+       AND (${model}::text IS NULL OR model_id = ${model})`,
+        params: [...range.params, query.model_id || null]
+      };
+    }
+  }
+};
+
+// ?columns=a,b limits the export to those columns (in that order); default is every column
+function exportColumns(dataset, spec) {
+  const { columns } = DATASETS[dataset];
+  if (!spec) return columns;
+  const wanted = String(spec).split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = wanted.filter(c => !columns.includes(c));
+  if (unknown.length > 0) throw new Error(`Unknown ${dataset} column(s): ${unknown.join(', ')}`);
+  return wanted;
+}
+
+// Batches of rows in key order until the range is exhausted
+async function* exportBatches(pool, game, dataset, query = {}) {
+  const { table, key, columns, range } = DATASETS[dataset];
+  const filter = range(query, 2);
+  let after = null;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT ${columns.join(', ')}
+       FROM ${table}
+       WHERE game = $1
+         AND ($2::${key.type} IS NULL OR ${key.column} > $2)
+         ${filter.sql}
+       ORDER BY ${key.column}
+       LIMIT ${BATCH_SIZE}`,
+      [game.id, after, ...filter.params]
+    );
+    if (rows.length === 0) return;
+    yield rows;
+    if (rows.length < BATCH_SIZE) return;
+    after = rows[rows.length - 1][key.column];
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Arrays (patterns) and JSON columns (contributors, trace) become JSON text in CSV cells
+function formatRow(format, row, columns) {
+  if (format === 'ndjson') return `${JSON.stringify(Object.fromEntries(columns.map(c => [c, row[c]])))}\n`;
+  return `${columns.map(c => csvCell(row[c])).join(',')}\n`;
+}
+
+// Write the export to a writable stream (an HTTP response or a file), waiting on
+// backpressure between batches; stops early if the stream is closed. Returns the row count.
+async function writeExport(pool, game, dataset, { format = 'csv', columns, query = {} }, out) {
+  if (!FORMATS[format]) throw new Error(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  let count = 0;
+  if (format === 'csv') out.write(`${columns.join(',')}\n`);
+  for await (const rows of exportBatches(pool, game, dataset, query)) {
+    if (out.destroyed) break;
+    const chunk = rows.map(row => formatRow(format, row, columns)).join('');
+    count += rows.length;
+    if (!out.write(chunk)) await Promise.race([once(out, 'drain'), once(out, 'close')]);
+  }
+  return count;
+}
+
+export {
+  FORMATS,
+  DATASETS,
+  exportColumns,
+  exportBatches,
+  writeExport
+};
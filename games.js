@@ -0,0 +1,67 @@
+// games.js
+// Win Go variant definitions: URL / period generation per draw cadence.
+
+// typeCode is the 5-digit segment between the date and the draw counter in issue numbers
+const GAMES = {
+  '30s': { id: '30s', label: 'Win Go 30S', urlPrefix: 'WinGo_30S', typeCode: '10005', intervalSec: 30 },
+  '1min': { id: '1min', label: 'Win Go 1Min', urlPrefix: 'WinGo_1', typeCode: '10001', intervalSec: 60 },
+  '3min': { id: '3min', label: 'Win Go 3Min', urlPrefix: 'WinGo_3', typeCode: '10002', intervalSec: 180 },
+  '5min': { id: '5min', label: 'Win Go 5Min', urlPrefix: 'WinGo_5', typeCode: '10003', intervalSec: 300 }
+};
+
+const DEFAULT_GAME = '1min';
+
+function getGame(id) {
+  return GAMES[id || DEFAULT_GAME] || null;
+}
+
+function listGames() {
+  return Object.values(GAMES);
+}
+
+// Parse a comma-separated list (e.g. GAMES env var); unknown ids are dropped
+function resolveGames(spec) {
+  if (!spec) return listGames();
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(getGame).filter(Boolean);
+}
+
+function drawsPerDay(game) {
+  return Math.floor(86400 / game.intervalSec);
+}
+
+// Current draw counter for the game, counted from local midnight
+function currentDrawNumber(game, now = new Date()) {
+  const msSinceMidnight = now - new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const perDay = drawsPerDay(game);
+  const drawsSinceMidnight = Math.floor(msSinceMidnight / (game.intervalSec * 1000));
+  return ((drawsSinceMidnight + perDay) % perDay).toString().padStart(4, '0');
+}
+
+function generateGameUrl(game, now = new Date()) {
+  const today = now.toISOString().slice(0, 10).replace(/-/g, "");
+  const drawNumber = currentDrawNumber(game, now);
+  return `https://wingo.oss-ap-southeast-7.aliyuncs.com/${game.urlPrefix}_${today}${game.typeCode}${drawNumber}_past100_draws`;
+}
+
+// past100_draws window ending just before a given issue number (used for backfill)
+function generateWindowUrl(game, issueNumber) {
+  return `https://wingo.oss-ap-southeast-7.aliyuncs.com/${game.urlPrefix}_${issueNumber}_past100_draws`;
+}
+
+// Issue numbers are 17 digits, beyond Number precision, so step them with BigInt
+function nextIssueNumber(issueNumber) {
+  return (BigInt(issueNumber) + 1n).toString();
+}
+
+export {
+  GAMES,
+  DEFAULT_GAME,
+  getGame,
+  listGames,
+  resolveGames,
+  drawsPerDay,
+  currentDrawNumber,
+  generateGameUrl,
+  generateWindowUrl,
+  nextIssueNumber
+};
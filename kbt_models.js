@@ -11,10 +11,11 @@ import {
   calculateBaseConfidence,
   assessMarketCondition
 } from './prediction_helpers.js';
+import { applyParams, serializeLearnerState, restoreLearnerState } from './model_params.js';
 
 function enhancedTrendAnalysis(history, options = {}) {
   if (!Array.isArray(history) || history.length < 3) {
-    return { prediction: "BIG", confidence: 60, logic: 8, patterns: ["fallback"] };
+    return { prediction: "BIG", confidence: 60, logic: 8, patterns: ["fallback"], pBig: 0.5, trace: { candidates: [], selectedLogic: 8, rule: 'insufficient history' } };
   }
   const activePatternsKBT = [];
   const predictions = [];
@@ -117,7 +118,18 @@ function enhancedTrendAnalysis(history, options = {}) {
       bestPrediction = predictions[i];
     }
   }
-  return { ...bestPrediction, patterns: activePatternsKBT };
+  // every rule that fired, so the decision can be explained after the fact
+  const trace = {
+    candidates: predictions.map(c => ({ logic: c.logic, prediction: c.prediction, confidence: c.confidence })),
+    selectedLogic: bestPrediction.logic,
+    rule: 'highest confidence (earliest rule wins ties)'
+  };
+  // unclamped P(BIG) of the winning rule: its raw score (before any display floor) as the
+  // probability of the side it called
+  const { score, ...pick } = bestPrediction;
+  const pSide = Math.max(0, Math.min(1, (typeof score === 'number' ? score : pick.confidence) / 100));
+  const pBig = pick.prediction === 'SMALL' ? 1 - pSide : pSide;
+  return { ...pick, patterns: activePatternsKBT, pBig, trace };
 }
 
 function neuralNetworkPrediction(recent) {
@@ -144,6 +156,7 @@ function neuralNetworkPrediction(recent) {
   return { 
     prediction: prediction,
     confidence: Math.max(70, finalConfidence),
+    score: baseConfidence * marketCondition, // before the 92 cap and the 70 floor
     logic: 19,
     patterns: Object.entries(patterns)
       .filter(([_, p]) => p.strength > 0.7)
@@ -195,7 +208,7 @@ export {
 
 // --- Self-learning model wrapper ---
 class KBTModel {
-  constructor(id = 'KBT') {
+  constructor(id = 'KBT', params = {}) {
     this.id = id;
     this.name = 'KBT Ultralogic';
     this.weight = 1.0; // adaptive weight used by ensemble
@@ -208,6 +221,7 @@ class KBTModel {
     this.minWeight = 0.2;
     this.maxWeight = 3.0;
     this.decay = 0.999; // small decay to avoid runaway weights
+    applyParams(this, params);
   }
 
   predict(history, options = {}) {
@@ -240,6 +254,15 @@ class KBTModel {
 
     return { wins: this.wins, losses: this.losses, weight: this.weight, emaAccuracy: this.emaAccuracy };
   }
+
+  // full learned state, enough for restore() to resume exactly where this left off
+  serialize() {
+    return serializeLearnerState(this);
+  }
+
+  restore(state = {}) {
+    return restoreLearnerState(this, state);
+  }
 }
 
 export { KBTModel };
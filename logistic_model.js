@@ -0,0 +1,183 @@
+// logistic_model.js
+// Online L2-regularised logistic regression on features built from prediction_helpers.js.
+
+import {
+  detectStreaks,
+  detectAlternations,
+  analyzeWindow,
+  calculateVolatility,
+  analyzeTrendStrength,
+  calculateMomentum,
+  accuracyWeight
+} from './prediction_helpers.js';
+
+const MIN_HISTORY = 20; // the helpers look back up to 20 draws
+
+function bigRatio(history, size) {
+  const window = history.slice(0, size);
+  return window.length ? window.filter(r => r.resultType === 'BIG').length / window.length : 0.5;
+}
+
+function finite(value) {
+  return Number.isFinite(value) ? value : 0;
+}
+
+// Feature name -> extractor over a newest-first history. "Signed" features are
+// positive when they point at BIG, so a positive coefficient means "continue".
+const FEATURES = {
+  lastBig: h => (h[0].resultType === 'BIG' ? 1 : -1),
+  streakSigned: h => {
+    const { current } = detectStreaks(h).streaks;
+    return Math.min(current.length, 10) / 5 * (current.type === 'BIG' ? 1 : -1);
+  },
+  streakStrengthSigned: h => detectStreaks(h).strength * (h[0].resultType === 'BIG' ? 1 : -1),
+  alternationSigned: h => detectAlternations(h).strength * (h[0].resultType === 'BIG' ? 1 : -1),
+  ratio5: h => 2 * (bigRatio(h, 5) - 0.5),
+  ratio10: h => 2 * (bigRatio(h, 10) - 0.5),
+  ratio20: h => 2 * (bigRatio(h, 20) - 0.5),
+  windowBias: h => 2 * (analyzeWindow(h).bias - 0.5),
+  momentum: h => calculateMomentum(h).momentum,
+  volatility: h => 2 * (calculateVolatility(h.slice(0, 20)) - 0.5),
+  volatilitySigned: h => 2 * (calculateVolatility(h.slice(0, 20)) - 0.5) * (h[0].resultType === 'BIG' ? 1 : -1),
+  trendStrength: h => analyzeTrendStrength(h),
+  lastDigit: h => (Number.isInteger(Number(h[0].number)) ? (Number(h[0].number) - 4.5) / 4.5 : 0)
+};
+
+const FEATURE_NAMES = Object.keys(FEATURES);
+
+// Feature vector for the draw after `history` (newest first); null when too short
+function extractFeatures(history) {
+  if (!Array.isArray(history) || history.length < MIN_HISTORY) return null;
+  return FEATURE_NAMES.map(name => finite(FEATURES[name](history)));
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-Math.max(-30, Math.min(30, z))));
+}
+
+class LogisticModel {
+  // params: { learningRate (default 0.05), l2 (default 0.001) }
+  constructor(id = 'LOGISTIC', params = {}) {
+    this.id = id;
+    this.name = params.name || 'Online Logistic Regression';
+    this.learningRate = typeof params.learningRate === 'number' && params.learningRate > 0 ? params.learningRate : 0.05;
+    this.l2 = typeof params.l2 === 'number' && params.l2 >= 0 ? params.l2 : 0.001;
+    this.intercept = 0;
+    this.coefficients = Object.fromEntries(FEATURE_NAMES.map(name => [name, 0]));
+    this.observations = 0;
+    this.logLoss = null; // running mean of the pre-update log loss
+    // ensemble weight follows the EMA of hits around the configured base weight
+    this.baseWeight = typeof params.weight === 'number' ? params.weight : 1.0;
+    this.weight = this.baseWeight;
+    this.wins = 0;
+    this.losses = 0;
+    this.emaAccuracy = 0.5;
+    this.emaAlpha = 0.05;
+    this.minWeight = 0.2;
+    this.maxWeight = 3.0;
+  }
+
+  probability(features) {
+    const z = FEATURE_NAMES.reduce((s, name, i) => s + this.coefficients[name] * features[i], this.intercept);
+    return sigmoid(z);
+  }
+
+  predict(history, options = {}) {
+    const features = extractFeatures(history);
+    if (!features) {
+      return { prediction: 'BIG', confidence: 50, logic: 'insufficient-history', patterns: [], pBig: 0.5, modelId: this.id, modelName: this.name, modelWeight: this.weight };
+    }
+    const pBig = this.probability(features);
+    return {
+      prediction: pBig >= 0.5 ? 'BIG' : 'SMALL',
+      confidence: Math.round(Math.max(pBig, 1 - pBig) * 100),
+      logic: 'logit',
+      patterns: [`Logit_${this.observations}`],
+      pBig: parseFloat(pBig.toFixed(4)),
+      modelId: this.id,
+      modelName: this.name,
+      modelWeight: this.weight
+    };
+  }
+
+  // one SGD step on the resolved draw: `history` is what preceded `draw`, newest first
+  observe(draw, history) {
+    const features = extractFeatures(history);
+    if (!features || !draw || (draw.resultType !== 'BIG' && draw.resultType !== 'SMALL')) return false;
+    const y = draw.resultType === 'BIG' ? 1 : 0;
+    const p = this.probability(features);
+    const loss = -(y * Math.log(Math.max(p, 1e-12)) + (1 - y) * Math.log(Math.max(1 - p, 1e-12)));
+    this.observations++;
+    this.logLoss = this.logLoss === null ? loss : this.logLoss + (loss - this.logLoss) / this.observations;
+
+    const error = p - y;
+    this.intercept -= this.learningRate * error;
+    FEATURE_NAMES.forEach((name, i) => {
+      this.coefficients[name] -= this.learningRate * (error * features[i] + this.l2 * this.coefficients[name]);
+    });
+    return true;
+  }
+
+  // train on an ordered (oldest first) draw sequence, e.g. the draws archive
+  fit(draws = []) {
+    for (let i = MIN_HISTORY; i < draws.length; i++) {
+      this.observe(draws[i], draws.slice(i - MIN_HISTORY, i).reverse());
+    }
+    return this.observations;
+  }
+
+  // options: { lr, actual, history } - the regression trains on the actual draw,
+  // the win/loss only drives the ensemble weight (lr scales the EMA step)
+  learn(wasWin, options = {}) {
+    if (options.actual) this.observe(options.actual, options.history);
+    if (wasWin) this.wins++; else this.losses++;
+    const lr = typeof options.lr === 'number' ? Math.max(0.1, options.lr) : 1.0;
+    const alpha = Math.min(0.5, this.emaAlpha * lr);
+    this.emaAccuracy = this.emaAccuracy * (1 - alpha) + (wasWin ? 1 : 0) * alpha;
+    this.weight = accuracyWeight(this.emaAccuracy, this.baseWeight, this.minWeight, this.maxWeight);
+    return { wins: this.wins, losses: this.losses, weight: this.weight, emaAccuracy: this.emaAccuracy, observations: this.observations };
+  }
+
+  // learned coefficients for inspection
+  coefficientTable() {
+    return {
+      learningRate: this.learningRate,
+      l2: this.l2,
+      observations: this.observations,
+      meanLogLoss: this.logLoss === null ? null : parseFloat(this.logLoss.toFixed(5)),
+      intercept: this.intercept,
+      coefficients: FEATURE_NAMES.map(name => ({ feature: name, value: this.coefficients[name] }))
+    };
+  }
+
+  serialize() {
+    return {
+      id: this.id,
+      name: this.name,
+      weight: this.weight,
+      wins: this.wins,
+      losses: this.losses,
+      emaAccuracy: this.emaAccuracy,
+      observations: this.observations,
+      logLoss: this.logLoss,
+      intercept: this.intercept,
+      coefficients: { ...this.coefficients },
+      params: { learningRate: this.learningRate, l2: this.l2 }
+    };
+  }
+
+  restore(state = {}) {
+    for (const key of ['weight', 'wins', 'losses', 'emaAccuracy', 'observations', 'logLoss', 'intercept']) {
+      if (typeof state[key] === 'number') this[key] = state[key];
+    }
+    // features added since the state was saved start at 0
+    if (state.coefficients) {
+      for (const name of FEATURE_NAMES) {
+        if (typeof state.coefficients[name] === 'number') this.coefficients[name] = state.coefficients[name];
+      }
+    }
+    return this;
+  }
+}
+
+export { FEATURE_NAMES, extractFeatures, LogisticModel };
@@ -0,0 +1,220 @@
+// markets.js
+// Digit, colour and odd/even markets: forecasts derived from model digit distributions,
+// stored and resolved per market next to the BIG/SMALL prediction.
+
+import { predictionRangeSql } from './query_filters.js';
+
+const DIGITS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+// Win Go colours: even digits are red, odd are green, 0 and 5 are also violet
+function digitColours(d) {
+  const colours = [d % 2 === 0 ? 'red' : 'green'];
+  if (d === 0 || d === 5) colours.push('violet');
+  return colours;
+}
+
+function digitParity(d) {
+  return d % 2 === 0 ? 'EVEN' : 'ODD';
+}
+
+// Per market: how a digit distribution maps to outcome probabilities and whether a
+// call wins against the drawn digit
+const MARKETS = {
+  digit: {
+    outcomes: DIGITS.map(String),
+    probabilities: dist => Object.fromEntries(DIGITS.map(d => [String(d), dist[d]])),
+    wins: (prediction, d) => prediction === String(d)
+  },
+  colour: {
+    outcomes: ['red', 'green', 'violet'],
+    probabilities: dist => {
+      const p = { red: 0, green: 0, violet: 0 };
+      DIGITS.forEach(d => digitColours(d).forEach(c => { p[c] += dist[d]; }));
+      return p;
+    },
+    wins: (prediction, d) => digitColours(d).includes(prediction)
+  },
+  parity: {
+    outcomes: ['ODD', 'EVEN'],
+    probabilities: dist => {
+      const p = { ODD: 0, EVEN: 0 };
+      DIGITS.forEach(d => { p[digitParity(d)] += dist[d]; });
+      return p;
+    },
+    wins: (prediction, d) => digitParity(d) === prediction
+  }
+};
+
+const MARKET_NAMES = Object.keys(MARKETS);
+
+// Probability that a call wins when digits are uniform (the no-skill hit rate)
+function chanceOf(market, prediction) {
+  return DIGITS.filter(d => MARKETS[market].wins(prediction, d)).length / DIGITS.length;
+}
+
+function round4(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+// Weighted average of the digit distributions models supplied ({ weight, digits }),
+// uniform when none did; then one forecast per market
+function forecastMarkets(entries = []) {
+  const usable = entries.filter(e => Array.isArray(e.digits) && e.digits.length === 10 && e.digits.every(Number.isFinite));
+  const totalWeight = usable.reduce((s, e) => s + (e.weight || 1), 0);
+  const dist = totalWeight > 0
+    ? DIGITS.map(d => usable.reduce((s, e) => s + (e.weight || 1) * e.digits[d], 0) / totalWeight)
+    : DIGITS.map(() => 0.1);
+  const sum = dist.reduce((a, b) => a + b, 0) || 1;
+  const normalized = dist.map(p => p / sum);
+
+  const forecasts = {};
+  for (const [name, market] of Object.entries(MARKETS)) {
+    const probabilities = market.probabilities(normalized);
+    const prediction = market.outcomes.reduce((best, o) => (probabilities[o] > probabilities[best] ? o : best));
+    forecasts[name] = {
+      prediction,
+      probability: round4(probabilities[prediction]),
+      distribution: Object.fromEntries(Object.entries(probabilities).map(([k, v]) => [k, round4(v)]))
+    };
+  }
+  forecasts.sources = usable.map(e => e.id).filter(Boolean);
+  return forecasts;
+}
+
+async function ensureMarketTable(pool) {
+  if (!pool) return;
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS market_predictions (
+      id SERIAL PRIMARY KEY,
+      game TEXT NOT NULL,
+      period TEXT NOT NULL,
+      market TEXT NOT NULL,
+      prediction TEXT NOT NULL,
+      probability DOUBLE PRECISION,
+      distribution JSONB,
+      actual TEXT,
+      actual_number INTEGER,
+      actual_probability DOUBLE PRECISION,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ,
+      UNIQUE (game, period, market)
+    );
+    CREATE INDEX IF NOT EXISTS idx_market_predictions_status ON market_predictions(game, market, status);
+  `);
+}
+
+// First write per (game, period, market) wins, like the BIG/SMALL prediction
+async function storeMarketPredictions(pool, game, period, forecasts) {
+  if (!pool || !forecasts) return 0;
+  const names = MARKET_NAMES.filter(m => forecasts[m]);
+  const { rowCount } = await pool.query(
+    `INSERT INTO market_predictions (game, period, market, prediction, probability, distribution)
+     SELECT $1, $2, m.market, m.prediction, m.probability, m.distribution
+     FROM UNNEST($3::text[], $4::text[], $5::float8[], $6::jsonb[]) AS m(market, prediction, probability, distribution)
+     ON CONFLICT (game, period, market) DO NOTHING`,
+    [
+      game,
+      period,
+      names,
+      names.map(m => forecasts[m].prediction),
+      names.map(m => forecasts[m].probability),
+      names.map(m => JSON.stringify(forecasts[m].distribution))
+    ]
+  );
+  return rowCount;
+}
+
+// Stored forecasts for one period, in the shape forecastMarkets returns
+async function loadMarketPredictions(pool, game, period) {
+  const { rows } = await pool.query(
+    `SELECT market, prediction, probability, distribution, actual, actual_number, status
+     FROM market_predictions WHERE game = $1 AND period = $2`,
+    [game, period]
+  );
+  return Object.fromEntries(rows.map(r => [r.market, {
+    prediction: r.prediction,
+    probability: r.probability,
+    distribution: r.distribution,
+    ...(r.actual !== null ? { actual: r.actual, actualNumber: r.actual_number, status: r.status } : {})
+  }]));
+}
+
+// Resolve a period's pending market rows against the drawn digit
+async function resolveMarketPredictions(pool, game, period, number) {
+  const d = Number(number);
+  if (!pool || !Number.isInteger(d) || d < 0 || d > 9) return [];
+  const { rows } = await pool.query(
+    `SELECT id, market, prediction, distribution FROM market_predictions
+     WHERE game = $1 AND period = $2 AND status = 'pending'`,
+    [game, period]
+  );
+  const resolved = [];
+  for (const row of rows) {
+    const market = MARKETS[row.market];
+    if (!market) continue;
+    const win = market.wins(row.prediction, d);
+    // actual outcome label and the probability the forecast gave it
+    const actual = row.market === 'digit' ? String(d) : row.market === 'colour' ? digitColours(d).join(',') : digitParity(d);
+    const dist = row.distribution || {};
+    const actualProbability = row.market === 'colour'
+      ? Math.max(...digitColours(d).map(c => dist[c] || 0))
+      : (dist[actual] ?? null);
+    const status = win ? '✅ win' : '❌ loss';
+    await pool.query(
+      `UPDATE market_predictions
+       SET actual = $1, actual_number = $2, actual_probability = $3, status = $4, resolved_at = NOW()
+       WHERE id = $5`,
+      [actual, d, actualProbability, status, row.id]
+    );
+    resolved.push({ market: row.market, prediction: row.prediction, actual, status });
+  }
+  return resolved;
+}
+
+// Per-market hit rate against the uniform-digit chance rate, and mean log loss
+async function marketSummary(pool, game, filters = {}) {
+  const range = predictionRangeSql(filters, 1);
+  const { rows } = await pool.query(
+    `SELECT market, prediction,
+            COUNT(*)::int AS predictions,
+            COUNT(*) FILTER (WHERE status = '✅ win')::int AS wins,
+            AVG(-LN(GREATEST(actual_probability, 1e-12))) AS log_loss
+     FROM market_predictions
+     WHERE game = $1 AND status <> 'pending'
+       ${range.sql}
+     GROUP BY market, prediction`,
+    [game.id, ...range.params]
+  );
+
+  const summary = {};
+  for (const name of MARKET_NAMES) {
+    const cells = rows.filter(r => r.market === name);
+    const predictions = cells.reduce((s, c) => s + c.predictions, 0);
+    const wins = cells.reduce((s, c) => s + c.wins, 0);
+    const expectedWins = cells.reduce((s, c) => s + c.predictions * chanceOf(name, c.prediction), 0);
+    const logLoss = cells.reduce((s, c) => s + (c.log_loss === null ? 0 : c.log_loss * c.predictions), 0);
+    summary[name] = {
+      predictions,
+      wins,
+      losses: predictions - wins,
+      accuracyPercent: predictions ? parseFloat(((wins / predictions) * 100).toFixed(2)) : 0,
+      chancePercent: predictions ? parseFloat(((expectedWins / predictions) * 100).toFixed(2)) : 0,
+      meanLogLoss: predictions ? parseFloat((logLoss / predictions).toFixed(4)) : null
+    };
+  }
+  return summary;
+}
+
+export {
+  MARKET_NAMES,
+  digitColours,
+  digitParity,
+  chanceOf,
+  forecastMarkets,
+  ensureMarketTable,
+  storeMarketPredictions,
+  loadMarketPredictions,
+  resolveMarketPredictions,
+  marketSummary
+};
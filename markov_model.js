@@ -0,0 +1,166 @@
+// markov_model.js
+// Order-k Markov chain over the BIG/SMALL or 0-9 digit sequence with additive smoothing.
+
+import { accuracyWeight } from './prediction_helpers.js';
+
+const ALPHABETS = {
+  bigsmall: {
+    symbols: ['BIG', 'SMALL'],
+    symbolOf: draw => (draw && (draw.resultType === 'BIG' || draw.resultType === 'SMALL') ? draw.resultType : null)
+  },
+  digit: {
+    symbols: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+    symbolOf: draw => {
+      const n = draw ? Number(draw.number) : NaN;
+      return Number.isInteger(n) && n >= 0 && n <= 9 ? String(n) : null;
+    }
+  }
+};
+
+// digits 5-9 are BIG, the same split the upstream uses
+function isBigSymbol(symbol) {
+  return symbol === 'BIG' || (symbol.length === 1 && Number(symbol) >= 5);
+}
+
+class MarkovModel {
+  // params: { order: k (default 3), smoothing: additive alpha (default 1), alphabet: 'bigsmall' | 'digit' }
+  constructor(id = 'MARKOV', params = {}) {
+    this.id = id;
+    this.alphabet = ALPHABETS[params.alphabet] ? params.alphabet : 'bigsmall';
+    this.order = Math.max(1, Math.min(8, parseInt(params.order) || 3));
+    this.smoothing = typeof params.smoothing === 'number' && params.smoothing >= 0 ? params.smoothing : 1;
+    this.name = params.name || `Markov k=${this.order} (${this.alphabet})`;
+    this.counts = {}; // context ("BIG>SMALL>BIG" / "3>7") -> { symbol: count }
+    this.observations = 0;
+    // ensemble weight follows the EMA of hits around the configured base weight
+    this.baseWeight = typeof params.weight === 'number' ? params.weight : 1.0;
+    this.weight = this.baseWeight;
+    this.wins = 0;
+    this.losses = 0;
+    this.emaAccuracy = 0.5;
+    this.emaAlpha = 0.05;
+    this.minWeight = 0.2;
+    this.maxWeight = 3.0;
+  }
+
+  // context key from the k most recent draws of a newest-first history (null if incomplete)
+  contextOf(history) {
+    if (!Array.isArray(history) || history.length < this.order) return null;
+    const { symbolOf } = ALPHABETS[this.alphabet];
+    const symbols = history.slice(0, this.order).map(symbolOf);
+    if (symbols.some(s => s === null)) return null;
+    return symbols.reverse().join('>'); // oldest first
+  }
+
+  // smoothed transition row for one context
+  transitionRow(context) {
+    const { symbols } = ALPHABETS[this.alphabet];
+    const row = this.counts[context] || {};
+    const total = symbols.reduce((s, sym) => s + (row[sym] || 0), 0);
+    const denom = total + this.smoothing * symbols.length;
+    const probabilities = {};
+    for (const sym of symbols) {
+      probabilities[sym] = denom > 0 ? ((row[sym] || 0) + this.smoothing) / denom : 1 / symbols.length;
+    }
+    return { context, total, counts: { ...row }, probabilities };
+  }
+
+  predict(history, options = {}) {
+    const context = this.contextOf(history);
+    if (context === null) {
+      return { prediction: 'BIG', confidence: 50, logic: 'insufficient-history', patterns: [], modelId: this.id, modelName: this.name, modelWeight: this.weight };
+    }
+    const row = this.transitionRow(context);
+    const pBig = Object.entries(row.probabilities).reduce((s, [sym, p]) => s + (isBigSymbol(sym) ? p : 0), 0);
+    const prediction = pBig >= 0.5 ? 'BIG' : 'SMALL';
+    return {
+      prediction,
+      confidence: Math.round(Math.max(pBig, 1 - pBig) * 100),
+      logic: row.total > 0 ? `k${this.order}` : 'unseen-context',
+      patterns: [`Markov_${this.alphabet}_${context}`],
+      pBig,
+      transition: {
+        alphabet: this.alphabet,
+        order: this.order,
+        smoothing: this.smoothing,
+        ...row,
+        pBig: parseFloat(pBig.toFixed(4))
+      },
+      ...(this.alphabet === 'digit' ? { digits: ALPHABETS.digit.symbols.map(sym => row.probabilities[sym]) } : {}),
+      modelId: this.id,
+      modelName: this.name,
+      modelWeight: this.weight
+    };
+  }
+
+  // count one transition: `history` is what preceded `draw`, newest first
+  observe(draw, history) {
+    const context = this.contextOf(history);
+    const symbol = ALPHABETS[this.alphabet].symbolOf(draw);
+    if (context === null || symbol === null) return false;
+    const row = this.counts[context] || (this.counts[context] = {});
+    row[symbol] = (row[symbol] || 0) + 1;
+    this.observations++;
+    return true;
+  }
+
+  // estimate counts from an ordered (oldest first) draw sequence, e.g. the draws archive
+  fit(draws = []) {
+    for (let i = this.order; i < draws.length; i++) {
+      this.observe(draws[i], draws.slice(i - this.order, i).reverse());
+    }
+    return this.observations;
+  }
+
+  // options: { lr, actual, history } - counts are updated from the actual draw, the
+  // win/loss only drives the ensemble weight (lr scales the EMA step)
+  learn(wasWin, options = {}) {
+    if (options.actual) this.observe(options.actual, options.history);
+    if (wasWin) this.wins++; else this.losses++;
+    const lr = typeof options.lr === 'number' ? Math.max(0.1, options.lr) : 1.0;
+    const alpha = Math.min(0.5, this.emaAlpha * lr);
+    this.emaAccuracy = this.emaAccuracy * (1 - alpha) + (wasWin ? 1 : 0) * alpha;
+    this.weight = accuracyWeight(this.emaAccuracy, this.baseWeight, this.minWeight, this.maxWeight);
+    return { wins: this.wins, losses: this.losses, weight: this.weight, emaAccuracy: this.emaAccuracy, observations: this.observations };
+  }
+
+  // every context seen so far with its smoothed probabilities
+  transitionTable() {
+    return {
+      alphabet: this.alphabet,
+      order: this.order,
+      smoothing: this.smoothing,
+      observations: this.observations,
+      contexts: Object.keys(this.counts).sort().map(context => this.transitionRow(context))
+    };
+  }
+
+  serialize() {
+    return {
+      id: this.id,
+      name: this.name,
+      weight: this.weight,
+      wins: this.wins,
+      losses: this.losses,
+      emaAccuracy: this.emaAccuracy,
+      observations: this.observations,
+      counts: this.counts,
+      params: { alphabet: this.alphabet, order: this.order, smoothing: this.smoothing }
+    };
+  }
+
+  restore(state = {}) {
+    for (const key of ['weight', 'wins', 'losses', 'emaAccuracy']) {
+      if (typeof state[key] === 'number') this[key] = state[key];
+    }
+    // counts only carry over when they were collected with the same alphabet and order
+    const params = state.params || {};
+    if (state.counts && params.alphabet === this.alphabet && params.order === this.order) {
+      this.counts = state.counts;
+      this.observations = state.observations || 0;
+    }
+    return this;
+  }
+}
+
+export { MarkovModel };
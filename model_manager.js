@@ -1,8 +1,13 @@
 // model_manager.js
 // Manages multiple models, combines predictions, and supports self-learning updates.
 
-import { KBTModel } from './kbt_models.js';
-import { AIModel } from './ai_models.js';
+import { createModel, loadModelConfig, loadAbstainPolicy, loadPromotionPolicy, normalizeModelConfig } from './model_registry.js';
+import { getGame } from './games.js';
+import { loadDrawSequence } from './draws_archive.js';
+import { forecastMarkets } from './markets.js';
+import { NO_SIGNAL, abstainReasons } from './abstain.js';
+import { now } from './clock.js';
+import { logicIdFor } from './engines.js';
 import {
   calculateConsensusStrength,
   analyzePatternOverlap,
@@ -13,23 +18,31 @@ import {
   assessMarketStability,
   calculateMomentum,
   detectCyclicalPatterns,
-  combineSignals
+  combineSignals,
+  combineLogOdds
 } from './prediction_helpers.js';
 
 // Ensure proper class structure and export
 class ModelManager {
-  constructor() {
-    this.models = [];
-    // instantiate default models
-    this.kbt = new KBTModel('KBT');
-    this.ai = new AIModel('AI_FLONZA');
-    this.models.push(this.kbt, this.ai);
+  // modelConfigs: [{ id, type, enabled, params }]; defaults to models.config.json for this game
+  constructor(game = '1min', modelConfigs = null) {
+    this.game = game; // Win Go variant this manager's state belongs to
+    this.models = []; // enabled ensemble members
+    this.disabled = new Map(); // disabled instances keep their learned state until re-enabled
+    this.challengers = new Map(); // shadow models: predicted, stored and scored but never served
+    this.modelConfigs = new Map();
+    for (const config of modelConfigs || loadModelConfig(undefined, game)) {
+      this.registerModel(config);
+    }
     // meta settings for 24/7 stability
     this.minConfidence = 65; // increased minimum confidence threshold
     this.consensusThreshold = 0.75; // required agreement between models
     this.stabilityWindow = 100; // lookback window for stability checks
     this.pool = null; // pg pool if provided via init()
     this.lastPredictions = []; // track recent predictions for stability
+    this.fitWindowDays = 7; // archive depth used to seed count-based models (fit) on init
+    this.abstainPolicy = loadAbstainPolicy(); // when to publish NO_SIGNAL instead of BIG/SMALL
+    this.promotionPolicy = loadPromotionPolicy(); // when a challenger may join the ensemble
   }
 
   // initialize DB persistence (optional). Creates `models` table if missing and loads stats
@@ -40,38 +53,214 @@ class ModelManager {
       // Use snake_case column names for Postgres and keep mapping to JS camelCase
       await this.pool.query(`
         CREATE TABLE IF NOT EXISTS models (
-          id TEXT PRIMARY KEY,
+          game TEXT NOT NULL DEFAULT '1min',
+          id TEXT NOT NULL,
           name TEXT,
           weight DOUBLE PRECISION,
           wins INTEGER,
           losses INTEGER,
           ema_accuracy DOUBLE PRECISION,
-          updated_at TIMESTAMPTZ DEFAULT NOW()
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (game, id)
         );
       `);
-      const { rows } = await this.pool.query('SELECT * FROM models');
+      await this.pool.query('ALTER TABLE models ADD COLUMN IF NOT EXISTS state JSONB');
+      const { rows } = await this.pool.query('SELECT * FROM models WHERE game = $1', [this.game]);
       for (const r of rows) {
-        const m = this.models.find(x => (x.id || x.name) === (r.id || r.name));
+        const m = this.getModel(r.id);
         if (m) {
-          if (typeof r.weight === 'number') m.weight = r.weight;
-          if (typeof r.wins === 'number') m.wins = r.wins;
-          if (typeof r.losses === 'number') m.losses = r.losses;
-          // map snake_case DB column to camelCase property
-          if (typeof r.ema_accuracy === 'number') m.emaAccuracy = r.ema_accuracy;
+          this.applyPersisted(m, r);
         } else {
           // DB has a model we don't know about in memory - log at debug level
           console.info && console.info(`DB model ${r.id} not present in memory; skipping load.`);
         }
       }
+      for (const m of [...this.models, ...this.disabled.values(), ...this.challengers.values()]) {
+        await this.fitFromArchive(m);
+      }
     } catch (err) {
       console.warn('ModelManager.init DB error:', err && err.message);
     }
   }
 
+  // seed a count-based model that has no restored counts from recently archived draws
+  async fitFromArchive(m) {
+    if (!this.pool || typeof m.fit !== 'function' || m.observations > 0) return;
+    const game = getGame(this.game);
+    if (!game) return;
+    const since = new Date(now() - this.fitWindowDays * 24 * 60 * 60 * 1000).toISOString();
+    const draws = await loadDrawSequence(this.pool, game, { since });
+    if (draws.length === 0) return;
+    const observed = m.fit(draws);
+    console.log(`📚 [${this.game}] ${m.id} fitted on ${draws.length} archived draws (${observed} observations)`);
+    await this.persistModelStats(m);
+  }
+
+  // restore a model from its `models` row: full serialized state when present, else the stat columns
+  applyPersisted(m, r) {
+    if (r.state && typeof m.restore === 'function') {
+      m.restore(r.state);
+      return;
+    }
+    if (typeof r.weight === 'number') m.weight = r.weight;
+    if (typeof r.wins === 'number') m.wins = r.wins;
+    if (typeof r.losses === 'number') m.losses = r.losses;
+    // map snake_case DB column to camelCase property
+    if (typeof r.ema_accuracy === 'number') m.emaAccuracy = r.ema_accuracy;
+  }
+
+  // instantiate a config entry through the registry (no persistence lookup)
+  registerModel(entry) {
+    const config = normalizeModelConfig(entry);
+    if (this.modelConfigs.has(config.id)) throw new Error(`Model ${config.id} is already registered`);
+    return this.placeModel(config, createModel(config));
+  }
+
+  // file an instance as challenger, ensemble member or disabled model by its config
+  placeModel(config, model) {
+    this.modelConfigs.set(config.id, config);
+    if (config.shadow) this.challengers.set(config.id, model);
+    else if (config.enabled) this.models.push(model);
+    else this.disabled.set(config.id, model);
+    return model;
+  }
+
+  // startup: take which models exist, and their enabled/shadow flags and params, from a
+  // snapshot (the state admin changes, rollbacks and promotions left behind). Instances that
+  // init() already restored keep their state when type and params match; the rest are rebuilt
+  // from the snapshot and then from their `models` row. Config-file entries the snapshot does
+  // not know (added to the file since) are kept.
+  async restoreMembership(snapshot = {}) {
+    const entries = (snapshot.models || []).map(e => ({ config: normalizeModelConfig(e.config), state: e.state }));
+    const known = new Set(entries.map(e => e.config.id));
+    // built aside first, like restoreSnapshot(), so a bad snapshot leaves the running ensemble untouched
+    const next = new ModelManager(this.game, []);
+    const fresh = [];
+    for (const { config, state } of entries) {
+      const old = this.modelConfigs.get(config.id);
+      if (old && old.type === config.type && JSON.stringify(old.params) === JSON.stringify(config.params)) {
+        next.placeModel(config, this.getModel(config.id));
+      } else {
+        fresh.push(next.placeModel(config, createModel(config).restore(state || {})));
+      }
+    }
+    for (const config of this.modelConfigs.values()) {
+      if (!known.has(config.id)) next.placeModel(config, this.getModel(config.id));
+    }
+    this.models = next.models;
+    this.disabled = next.disabled;
+    this.challengers = next.challengers;
+    this.modelConfigs = next.modelConfigs;
+    if (this.pool) {
+      for (const model of fresh) {
+        try {
+          const { rows } = await this.pool.query('SELECT * FROM models WHERE game = $1 AND id = $2', [this.game, model.id]);
+          if (rows[0]) this.applyPersisted(model, rows[0]);
+          await this.fitFromArchive(model);
+        } catch (err) {
+          console.warn('ModelManager.restoreMembership DB error:', err && err.message);
+        }
+      }
+    }
+    return this;
+  }
+
+  // enabled, disabled or challenger instance by id
+  getModel(id) {
+    return this.models.find(x => (x.id || x.name) === id) || this.disabled.get(id) || this.challengers.get(id) || null;
+  }
+
+  // runtime add: registers the model and picks up any stats persisted under the same id
+  async addModel(entry) {
+    const model = this.registerModel(entry);
+    if (this.pool) {
+      try {
+        const { rows } = await this.pool.query('SELECT * FROM models WHERE game = $1 AND id = $2', [this.game, model.id]);
+        if (rows[0]) this.applyPersisted(model, rows[0]);
+        await this.fitFromArchive(model);
+      } catch (err) {
+        console.warn('ModelManager.addModel DB error:', err && err.message);
+      }
+    }
+    return model;
+  }
+
+  // runtime remove: drops the instance from the ensemble; its `models` row is kept
+  removeModel(id) {
+    if (!this.modelConfigs.has(id)) return false;
+    this.modelConfigs.delete(id);
+    this.models = this.models.filter(m => m.id !== id);
+    this.disabled.delete(id);
+    this.challengers.delete(id);
+    return true;
+  }
+
+  setModelEnabled(id, enabled) {
+    const config = this.modelConfigs.get(id);
+    if (!config) return false;
+    if (config.shadow) {
+      // challengers stay out of the ensemble; disabling only pauses their shadow calls
+    } else if (enabled && !config.enabled) {
+      this.models.push(this.disabled.get(id));
+      this.disabled.delete(id);
+    } else if (!enabled && config.enabled) {
+      this.disabled.set(id, this.models.find(m => m.id === id));
+      this.models = this.models.filter(m => m.id !== id);
+    }
+    config.enabled = !!enabled;
+    return true;
+  }
+
+  // registered configs with their current stats
+  listModels() {
+    return [...this.modelConfigs.values()].map(config => {
+      const m = this.getModel(config.id);
+      return { ...config, name: m.name, weight: m.weight, wins: m.wins, losses: m.losses, emaAccuracy: m.emaAccuracy };
+    });
+  }
+
+  // enabled challenger instances
+  runningChallengers() {
+    return [...this.challengers.entries()].filter(([id]) => this.modelConfigs.get(id).enabled).map(([, m]) => m);
+  }
+
+  // each running challenger's own call, in the shape of predict().contributing; these are
+  // stored and scored like ensemble members' calls but never reach the served prediction
+  predictChallengers(history, options = {}) {
+    const calls = [];
+    for (const m of this.runningChallengers()) {
+      try {
+        const p = m.predict(history, options) || { prediction: 'BIG', confidence: 50 };
+        const pBig = Number.isFinite(p.pBig) ? p.pBig : null;
+        calls.push({ id: m.id, name: m.name, prediction: p.prediction, confidence: p.confidence, pBig });
+      } catch (err) {
+        console.warn(`Challenger ${m.id} predict failed:`, err && err.message);
+      }
+    }
+    return calls;
+  }
+
+  // move a challenger into the ensemble; a `replaces` model named in its config is disabled
+  promoteModel(id) {
+    const config = this.modelConfigs.get(id);
+    if (!config || !config.shadow) return null;
+    const replaced = config.replaces && this.modelConfigs.has(config.replaces) && !this.modelConfigs.get(config.replaces).shadow
+      ? config.replaces
+      : null;
+    const model = this.challengers.get(id);
+    this.challengers.delete(id);
+    delete config.shadow;
+    delete config.replaces;
+    config.enabled = true;
+    this.models.push(model);
+    if (replaced) this.setModelEnabled(replaced, false);
+    return { id, replaced };
+  }
+
   predict(history, options = {}) {
     // defensive: ensure we have models
     if (!Array.isArray(this.models) || this.models.length === 0) {
-      return { prediction: 'UNKNOWN', confidence: Math.max(50, this.minConfidence || 50), logic: 'no-models', patterns: [], chosenModel: null, contributing: [] };
+      return { prediction: 'UNKNOWN', confidence: Math.max(50, this.minConfidence || 50), logic: 'no-models', logicId: logicIdFor('ensemble', 'no-models'), patterns: [], chosenModel: null, contributing: [], pBig: 0.5, probability: 0.5, trace: { models: [], branch: 'no-models' } };
     }
     // get predictions from each model and adjust by model weight
     const preds = this.models.map(m => {
@@ -79,15 +268,59 @@ class ModelManager {
         const p = m.predict(history, options) || { prediction: 'BIG', confidence: 50 };
         // score = confidence * weight
         const score = (p.confidence || 50) * (m.weight || 1);
-        return { model: m, p, score };
+        // models without their own P(BIG) (KBT) are left out of the probability pool; a
+        // confidence is not a probability
+        const pBig = Number.isFinite(p.pBig) ? p.pBig : null;
+        return { model: m, p, score, pBig };
       } catch (err) {
-        return { model: m, p: { prediction: 'BIG', confidence: 50 }, score: 50 * (m.weight || 1) };
+        return { model: m, p: { prediction: 'BIG', confidence: 50 }, score: 50 * (m.weight || 1), pBig: 0.5 };
       }
     });
 
     // sort by score desc
     preds.sort((a, b) => b.score - a.score);
 
+    // digit / colour / parity forecasts from the models that return a digit distribution
+    const markets = forecastMarkets(preds.map(x => ({ id: x.model.id, weight: x.model.weight, digits: x.p.digits })));
+
+    // probability-first: the weight-pooled log-odds of every model's P(BIG) decides the side;
+    // null (heuristic pick stands) when no enabled model offers a probability
+    const priced = preds.filter(x => x.pBig !== null);
+    const pBig = priced.length > 0 ? combineLogOdds(priced.map(x => ({ pBig: x.pBig, weight: x.model.weight }))) : null;
+    const side = pBig === null ? null : pBig >= 0.5 ? 'BIG' : 'SMALL';
+    const round4 = v => (v === null ? null : parseFloat(v.toFixed(4)));
+    const probabilityOf = prediction => (pBig === null ? null : round4(prediction === 'BIG' ? pBig : 1 - pBig));
+    const contributors = extra => preds.map(x => ({
+      id: x.model.id || x.model.name,
+      name: x.model.name,
+      weight: x.model.weight,
+      prediction: x.p.prediction,
+      confidence: x.p.confidence,
+      pBig: round4(x.pBig),
+      ...(extra ? extra(x) : {}),
+      ...(x.p.transition ? { transition: x.p.transition } : {})
+    }));
+
+    // registry id (engines.js) of the rule a model decided by
+    const logicIdOf = x => logicIdFor(x.model.type, x.p.logic);
+
+    // decision trace: every model's call and the branch taken, stored for /explain
+    const trace = {
+      models: preds.map(x => ({
+        id: x.model.id || x.model.name,
+        prediction: x.p.prediction,
+        confidence: x.p.confidence,
+        logic: x.p.logic ?? null,
+        logicId: logicIdOf(x),
+        weight: x.model.weight,
+        score: parseFloat(x.score.toFixed(2)),
+        pBig: round4(x.pBig),
+        ...(x.p.trace ? { trace: x.p.trace } : {})
+      })),
+      pooledPBig: round4(pBig),
+      branch: null
+    };
+
     // Enhanced ensemble decision making with perfect consensus analysis
     let final;
     if (preds.length >= 2) {
@@ -95,8 +328,13 @@ class ModelManager {
       const consensusStrength = calculateConsensusStrength(preds);
       const patternOverlap = analyzePatternOverlap(preds);
       const modelReliability = assessModelReliability(preds);
+      trace.consensus = consensusStrength;
+      trace.patternOverlap = patternOverlap;
+      trace.reliability = modelReliability;
+      trace.thresholds = { agreement: 0.75, patternOverlap: 0.6, scoreGap: 15, bias: [0.4, 0.6] };
       
       if (consensusStrength.agreement > 0.75 && patternOverlap.score > 0.6) {
+        trace.branch = 'enhanced_consensus';
         // Strong consensus with pattern confirmation
         const combinedConf = calculateEnhancedConfidence({
           predictions: preds,
@@ -109,6 +347,7 @@ class ModelManager {
           prediction: consensusStrength.prediction,
           confidence: combinedConf,
           logic: `ENHANCED_ENSEMBLE: ${preds[0].model.id}+${preds[1].model.id}`,
+          logicId: logicIdFor('ensemble', 'enhanced'),
           patterns: [
             ...new Set([
               ...(preds[0].p.patterns || []),
@@ -118,12 +357,8 @@ class ModelManager {
             ])
           ],
           chosenModel: 'enhanced_ensemble',
-          contributing: preds.map(x => ({
-            id: x.model.id || x.model.name,
-            name: x.model.name,
+          contributing: contributors(x => ({
             weight: x.model.weight * (modelReliability[x.model.id] || 1),
-            prediction: x.p.prediction,
-            confidence: x.p.confidence,
             reliability: modelReliability[x.model.id]
           }))
         };
@@ -134,6 +369,8 @@ class ModelManager {
         let adjustedConf = top.p.confidence;
         if (preds.length >= 2) {
           const gap = preds[0].score - preds[1].score;
+          trace.scoreGap = parseFloat(gap.toFixed(2));
+          trace.branch = 'top_score';
           // small gap threshold (tunable)
           if (gap < 15) {
             // compute recent bias from provided history
@@ -141,12 +378,14 @@ class ModelManager {
             const recent = (look || []).slice(0, 20);
             const bigCount = recent.filter(r => r.resultType === 'BIG').length;
             const bias = recent.length ? (bigCount / recent.length) : 0.5;
+            trace.bias = bias;
+            trace.branch = bias > 0.6 || bias < 0.4 ? 'fallback-low-consensus-bias' : 'top_score_low_consensus';
             if (bias > 0.6) {
               useTop = false;
-              final = { prediction: 'BIG', confidence: Math.max(55, Math.round(adjustedConf - 10)), logic: 'fallback-low-consensus-bias', patterns: [], chosenModel: 'fallback' };
+              final = { prediction: 'BIG', confidence: Math.max(55, Math.round(adjustedConf - 10)), logic: 'fallback-low-consensus-bias', logicId: logicIdFor('ensemble', 'low-consensus-bias'), patterns: [], chosenModel: 'fallback' };
             } else if (bias < 0.4) {
               useTop = false;
-              final = { prediction: 'SMALL', confidence: Math.max(55, Math.round(adjustedConf - 10)), logic: 'fallback-low-consensus-bias', patterns: [], chosenModel: 'fallback' };
+              final = { prediction: 'SMALL', confidence: Math.max(55, Math.round(adjustedConf - 10)), logic: 'fallback-low-consensus-bias', logicId: logicIdFor('ensemble', 'low-consensus-bias'), patterns: [], chosenModel: 'fallback' };
             } else {
               // low consensus and no clear bias — choose top but mark as low_consensus and lower confidence
               adjustedConf = Math.max(50, Math.round(adjustedConf - 12));
@@ -159,37 +398,86 @@ class ModelManager {
             prediction: top.p.prediction,
             confidence: adjustedConf,
             logic: `${top.model.id}:${top.p.logic || 'model'}`,
+            logicId: logicIdOf(top),
             patterns: top.p.patterns || [],
             chosenModel: top.model.id || top.model.name,
-            contributing: preds.map(x => ({ id: x.model.id || x.model.name, name: x.model.name, weight: x.model.weight, prediction: x.p.prediction, confidence: x.p.confidence }))
+            contributing: contributors()
           };
         }
       }
 
-      // safety: enforce minConfidence
-      if (final.confidence < this.minConfidence) final.confidence = this.minConfidence;
-      return final;
+      if (side && final.prediction !== side) {
+        // the pooled probability overrules the heuristic pick; credit the highest-scoring model
+        // that called that side, or the ensemble itself (at the pooled probability) when none did
+        const agreeing = preds
+          .filter(x => x.p.prediction === side)
+          .reduce((best, x) => (!best || x.score > best.score ? x : best), null);
+        trace.override = { heuristic: final.prediction, pooled: side, creditedModel: agreeing ? agreeing.model.id : null };
+        final = agreeing ? {
+          prediction: side,
+          confidence: agreeing.p.confidence || 50,
+          logic: `${agreeing.model.id}:${agreeing.p.logic || 'model'}`,
+          logicId: logicIdOf(agreeing),
+          patterns: agreeing.p.patterns || [],
+          chosenModel: agreeing.model.id || agreeing.model.name,
+          contributing: contributors()
+        } : {
+          prediction: side,
+          confidence: Math.round(probabilityOf(side) * 100),
+          logic: 'pooled-probability',
+          logicId: logicIdFor('ensemble', 'pooled-probability'),
+          patterns: [],
+          chosenModel: 'pooled_ensemble',
+          contributing: contributors()
+        };
+      }
+
+      // safety: enforce minConfidence (display only; pBig/probability stay unclamped)
+      if (final.confidence < this.minConfidence) {
+        trace.confidenceFloor = { raw: final.confidence, applied: this.minConfidence };
+        final.confidence = this.minConfidence;
+      }
+      final.trace = trace;
+      final.contributing = final.contributing || contributors(); // every model's own call is logged
+      final.markets = markets;
+      final.pBig = round4(pBig);
+      final.probability = probabilityOf(final.prediction);
+      return this.applyAbstainPolicy(final, preds, pBig, history);
     } else {
       // Fallback for single model case
       const top = preds[0];
-      return {
+      trace.branch = 'single_model';
+      return this.applyAbstainPolicy({
         prediction: top.p.prediction,
         confidence: Math.max(this.minConfidence, top.p.confidence),
         logic: `${top.model.id}:${top.p.logic || 'model'}`,
+        logicId: logicIdOf(top),
         patterns: top.p.patterns || [],
         chosenModel: top.model.id,
-        contributing: preds.map(x => ({ id: x.model.id, name: x.model.name, weight: x.model.weight, prediction: x.p.prediction, confidence: x.p.confidence }))
-      };
+        contributing: contributors(),
+        markets,
+        pBig: round4(pBig),
+        probability: probabilityOf(top.p.prediction),
+        trace
+      }, preds, pBig, history);
     }
   }
 
+  // replace a weak call with NO_SIGNAL; the would-be call is kept as `abstainedFrom`
+  applyAbstainPolicy(final, preds, pBig, history) {
+    const reasons = abstainReasons(this.abstainPolicy, { pBig, preds, history });
+    if (final.trace) final.trace.abstain = reasons;
+    if (reasons.length === 0) return final;
+    return { ...final, prediction: NO_SIGNAL, abstainedFrom: final.prediction, abstain: reasons };
+  }
+
   learn(chosenModelId, wasWin, context = {}) {
     const m = this.models.find(x => (x.id || x.name) === chosenModelId);
     if (!m) return null;
     // scale learning rate with context (e.g., consecutiveLosses)
     const streak = context.consecutiveLosses || 0;
     const lr = 1 + Math.min(3, streak * 0.4);
-    const res = m.learn(!!wasWin, { lr });
+    const res = m.learn(!!wasWin, { lr, actual: context.actual, history: context.history });
     // persist updated stats if pool is available (fire-and-forget but centralized)
     if (this.pool) {
       this.persistModelStats(m).catch(e => console.warn('Persist model stats failed:', e && e.message));
@@ -213,7 +501,7 @@ class ModelManager {
       if (!model) continue;
       // scale lr by share so more contributing models get stronger updates
       const lr2 = baseLR * (0.2 + 0.8 * share);
-      const r = model.learn(!!wasWin, { lr: lr2 });
+      const r = model.learn(!!wasWin, { lr: lr2, actual: context.actual, history: context.history });
       results.push({ id: model.id, lr: lr2, res: r });
       // persist per-model update
       if (this.pool) {
@@ -223,20 +511,123 @@ class ModelManager {
     return results;
   }
 
+  // apply a resolved outcome the way the live loop does: a single chosen model learns
+  // directly, an 'ensemble' prediction credits its stored contributors. With
+  // context.actual (the drawn result) and context.history (the draws before it, newest
+  // first), count-based models that were not credited still observe the outcome.
+  learnFromOutcome(modelId, contributors, wasWin, context = {}) {
+    let result = null;
+    let credited = [];
+    if (modelId && modelId !== 'ensemble') {
+      result = this.learn(modelId, wasWin, context);
+      if (result) credited = [modelId];
+    } else if (modelId === 'ensemble') {
+      if (Array.isArray(contributors) && contributors.length > 0) {
+        result = this.learnMultiple(contributors, wasWin, context);
+        credited = (result || []).map(r => r.id);
+      }
+    }
+    this.observeOutcome(context.actual, context.history, credited);
+    return result;
+  }
+
+  // credit each model for its own call (calls: [{ modelId, correct }]) rather than the
+  // ensemble's result; models that made no call still observe the outcome
+  learnFromModelCalls(calls = [], context = {}) {
+    const streak = context.consecutiveLosses || 0;
+    const lr = 1 + Math.min(3, streak * 0.4);
+    const results = [];
+    for (const call of calls) {
+      const m = this.models.find(x => (x.id || x.name) === call.modelId) || this.challengers.get(call.modelId);
+      if (!m) continue;
+      const r = m.learn(!!call.correct, { lr, actual: context.actual, history: context.history });
+      results.push({ id: m.id, correct: !!call.correct, res: r });
+      if (this.pool) {
+        this.persistModelStats(m).catch(e => console.warn('Persist model stats failed:', e && e.message));
+      }
+    }
+    this.observeOutcome(context.actual, context.history, results.map(r => r.id));
+    return results;
+  }
+
+  // outcome-driven models (e.g. Markov counts) learn from every draw, including periods
+  // the ensemble abstained on; `skip` lists models that already saw it through learn()
+  observeOutcome(actual, history, skip = []) {
+    if (!actual) return;
+    for (const m of [...this.models, ...this.runningChallengers()]) {
+      if (typeof m.observe !== 'function' || skip.includes(m.id)) continue;
+      if (m.observe(actual, history) && this.pool) {
+        this.persistModelStats(m).catch(e => console.warn('Persist model stats failed:', e && e.message));
+      }
+    }
+  }
+
   // centralized persistence helper (returns a Promise)
   async persistModelStats(m) {
     if (!this.pool || !m) return;
     const id = m.id || m.name;
-    const sql = `INSERT INTO models (id, name, weight, wins, losses, ema_accuracy, updated_at)
-      VALUES ($1,$2,$3,$4,$5,$6,NOW())
-      ON CONFLICT (id) DO UPDATE SET
+    const state = typeof m.serialize === 'function' ? JSON.stringify(m.serialize()) : null;
+    const sql = `INSERT INTO models (game, id, name, weight, wins, losses, ema_accuracy, state, updated_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW())
+      ON CONFLICT (game, id) DO UPDATE SET
         name = EXCLUDED.name,
         weight = EXCLUDED.weight,
         wins = EXCLUDED.wins,
         losses = EXCLUDED.losses,
         ema_accuracy = EXCLUDED.ema_accuracy,
+        state = EXCLUDED.state,
         updated_at = NOW()`;
-    return this.pool.query(sql, [id, m.name, m.weight, m.wins, m.losses, m.emaAccuracy]);
+    return this.pool.query(sql, [this.game, id, m.name, m.weight, m.wins, m.losses, m.emaAccuracy, state]);
+  }
+
+  // manager-level tunables carried in snapshots
+  settings() {
+    return {
+      minConfidence: this.minConfidence,
+      consensusThreshold: this.consensusThreshold,
+      stabilityWindow: this.stabilityWindow,
+      fitWindowDays: this.fitWindowDays,
+      abstainPolicy: { ...this.abstainPolicy }
+    };
+  }
+
+  applySettings(settings = {}) {
+    for (const key of ['minConfidence', 'consensusThreshold', 'stabilityWindow', 'fitWindowDays']) {
+      if (typeof settings[key] === 'number') this[key] = settings[key];
+    }
+    if (settings.abstainPolicy) this.abstainPolicy = { ...this.abstainPolicy, ...settings.abstainPolicy };
+  }
+
+  // complete state: settings plus every registered model's config and serialized state
+  serialize() {
+    return {
+      game: this.game,
+      settings: this.settings(),
+      models: [...this.modelConfigs.values()].map(config => ({
+        config: { ...config },
+        state: this.getModel(config.id).serialize()
+      }))
+    };
+  }
+
+  // replace settings and the whole ensemble with a serialized snapshot; builds the new
+  // ensemble first so a bad snapshot leaves the running one untouched
+  restoreSnapshot(snapshot = {}) {
+    const next = new ModelManager(this.game, (snapshot.models || []).map(e => e.config));
+    for (const entry of snapshot.models || []) {
+      next.getModel(entry.config.id).restore(entry.state || {});
+    }
+    this.models = next.models;
+    this.disabled = next.disabled;
+    this.challengers = next.challengers;
+    this.modelConfigs = next.modelConfigs;
+    this.applySettings(snapshot.settings);
+    if (this.pool) {
+      for (const m of [...this.models, ...this.disabled.values(), ...this.challengers.values()]) {
+        this.persistModelStats(m).catch(e => console.warn('Persist model stats failed:', e && e.message));
+      }
+    }
+    return this;
   }
 
   // debug utility to show model internals
@@ -245,7 +636,7 @@ class ModelManager {
   }
 }
 
-// Create singleton instance
+// Create singleton instance (default 1min game; server builds one manager per game)
 const instance = new ModelManager();
 
 // Export singleton and class
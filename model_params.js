@@ -0,0 +1,43 @@
+// model_params.js
+// Shared state handling for the self-learning rule models (KBT, FLONZA): the per-instance
+// tunables a config entry may override, and the serialize()/restore() shape built on them.
+
+// tunable numeric settings a config entry may override per instance
+const TUNABLE_PARAMS = ['weight', 'lookback', 'emaAlpha', 'minWeight', 'maxWeight', 'decay'];
+
+function applyParams(model, params = {}) {
+  for (const key of TUNABLE_PARAMS) {
+    if (typeof params[key] === 'number' && Number.isFinite(params[key])) model[key] = params[key];
+  }
+  if (typeof params.name === 'string' && params.name) model.name = params.name;
+}
+
+// full learned state, enough for restoreLearnerState() to resume exactly where it left off
+function serializeLearnerState(model) {
+  return {
+    id: model.id,
+    name: model.name,
+    weight: model.weight,
+    wins: model.wins,
+    losses: model.losses,
+    emaAccuracy: model.emaAccuracy,
+    history: [...model.history],
+    params: { lookback: model.lookback, emaAlpha: model.emaAlpha, minWeight: model.minWeight, maxWeight: model.maxWeight, decay: model.decay }
+  };
+}
+
+function restoreLearnerState(model, state = {}) {
+  applyParams(model, state.params || {});
+  for (const key of ['weight', 'wins', 'losses', 'emaAccuracy']) {
+    if (typeof state[key] === 'number') model[key] = state[key];
+  }
+  if (Array.isArray(state.history)) model.history = state.history.slice(-model.lookback);
+  return model;
+}
+
+export {
+  TUNABLE_PARAMS,
+  applyParams,
+  serializeLearnerState,
+  restoreLearnerState
+};
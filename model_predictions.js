@@ -0,0 +1,119 @@
+// model_predictions.js
+// Per-model prediction log: every model's own call for each period, resolved against
+// the draw so each model is credited (and scored) for its own prediction.
+
+import { predictionRangeSql } from './query_filters.js';
+import { streakSummary, significance } from './performance.js';
+
+async function ensureModelPredictionsTable(pool) {
+  if (!pool) return;
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS model_predictions (
+      id SERIAL PRIMARY KEY,
+      game TEXT NOT NULL,
+      period TEXT NOT NULL,
+      model_id TEXT NOT NULL,
+      prediction TEXT NOT NULL,
+      confidence DOUBLE PRECISION,
+      p_big DOUBLE PRECISION,
+      actual TEXT,
+      correct BOOLEAN,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ,
+      UNIQUE (game, period, model_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_model_predictions_model ON model_predictions(game, model_id, period);
+  `);
+}
+
+// contributing: the ensemble's per-model entries ({ id, prediction, confidence, pBig })
+async function storeModelPredictions(pool, game, period, contributing) {
+  const calls = (contributing || []).filter(c => c && c.id && (c.prediction === 'BIG' || c.prediction === 'SMALL'));
+  if (!pool || calls.length === 0) return 0;
+  const { rowCount } = await pool.query(
+    `INSERT INTO model_predictions (game, period, model_id, prediction, confidence, p_big)
+     SELECT $1, $2, c.model_id, c.prediction, c.confidence, c.p_big
+     FROM UNNEST($3::text[], $4::text[], $5::float8[], $6::float8[]) AS c(model_id, prediction, confidence, p_big)
+     ON CONFLICT (game, period, model_id) DO NOTHING`,
+    [
+      game,
+      period,
+      calls.map(c => c.id),
+      calls.map(c => c.prediction),
+      calls.map(c => (Number.isFinite(c.confidence) ? c.confidence : null)),
+      calls.map(c => (Number.isFinite(c.pBig) ? c.pBig : null))
+    ]
+  );
+  return rowCount;
+}
+
+// Mark a period's model calls against the actual result; returns [{ modelId, correct }]
+async function resolveModelPredictions(pool, game, period, actual) {
+  if (!pool || (actual !== 'BIG' && actual !== 'SMALL')) return [];
+  const { rows } = await pool.query(
+    `UPDATE model_predictions
+     SET actual = $3, correct = (prediction = $3), resolved_at = NOW()
+     WHERE game = $1 AND period = $2 AND actual IS NULL
+     RETURNING model_id, correct`,
+    [game, period, actual]
+  );
+  return rows.map(r => ({ modelId: r.model_id, correct: r.correct }));
+}
+
+function round4(value) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(4)) : null;
+}
+
+// Accuracy, significance, streaks and Brier score of one model's own calls
+async function modelPerformance(pool, game, modelId, filters = {}) {
+  const range = predictionRangeSql(filters, 2);
+  const { rows } = await pool.query(
+    `SELECT period, prediction, confidence, p_big, actual, correct
+     FROM model_predictions
+     WHERE game = $1 AND model_id = $2 AND correct IS NOT NULL
+       ${range.sql}
+     ORDER BY period`,
+    [game.id, modelId, ...range.params]
+  );
+  const { rows: pendingRows } = await pool.query(
+    'SELECT COUNT(*)::int AS pending FROM model_predictions WHERE game = $1 AND model_id = $2 AND correct IS NULL',
+    [game.id, modelId]
+  );
+
+  const outcomes = rows.map(r => r.correct);
+  const wins = outcomes.filter(Boolean).length;
+  const scored = rows.filter(r => r.p_big !== null);
+  const brier = scored.length
+    ? scored.reduce((s, r) => s + (r.p_big - (r.actual === 'BIG' ? 1 : 0)) ** 2, 0) / scored.length
+    : null;
+  const byCall = {};
+  for (const r of rows) {
+    byCall[r.prediction] = byCall[r.prediction] || { predictions: 0, wins: 0 };
+    byCall[r.prediction].predictions++;
+    if (r.correct) byCall[r.prediction].wins++;
+  }
+
+  return {
+    game: game.id,
+    modelId,
+    predictions: rows.length,
+    pending: pendingRows[0].pending,
+    wins,
+    losses: rows.length - wins,
+    accuracyPercent: rows.length ? parseFloat(((wins / rows.length) * 100).toFixed(2)) : 0,
+    ...significance(wins, rows.length),
+    ...streakSummary(outcomes),
+    meanConfidence: rows.length ? round4(rows.reduce((s, r) => s + (r.confidence || 0), 0) / rows.length) : null,
+    brierScore: round4(brier),
+    byCall,
+    first: rows.length ? rows[0].period : null,
+    last: rows.length ? rows[rows.length - 1].period : null
+  };
+}
+
+export {
+  ensureModelPredictionsTable,
+  storeModelPredictions,
+  resolveModelPredictions,
+  modelPerformance
+};
@@ -0,0 +1,120 @@
+// model_registry.js
+// Model plugin registry: maps model types to factories and builds ensemble members from config.
+//
+// Every model instance honours the same contract:
+//   predict(history, options) -> { prediction, confidence, logic, patterns, ... }
+//   learn(wasWin, { lr })     -> updated stats
+//   serialize()               -> plain JSON state
+//   restore(state)            -> re-applies serialized state
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { KBTModel } from './kbt_models.js';
+import { AIModel } from './ai_models.js';
+import { MarkovModel } from './markov_model.js';
+import { LogisticModel } from './logistic_model.js';
+import { normalizeAbstainPolicy } from './abstain.js';
+import { normalizePromotionPolicy } from './challengers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'models.config.json');
+const CONTRACT = ['predict', 'learn', 'serialize', 'restore'];
+
+// Ensemble membership used when no config file is present (the original hard-coded pair)
+const DEFAULT_MODELS = [
+  { id: 'KBT', type: 'kbt', enabled: true, params: {} },
+  { id: 'AI_FLONZA', type: 'ai', enabled: true, params: {} }
+];
+
+const types = new Map();
+
+// Register a model type; `factory(id, params)` must return an object implementing the contract
+function registerModelType(type, factory, description = '') {
+  if (!type || typeof factory !== 'function') throw new Error('registerModelType needs a type and a factory');
+  types.set(type, { type, factory, description });
+}
+
+function listModelTypes() {
+  return [...types.values()].map(t => ({ type: t.type, description: t.description }));
+}
+
+// Normalize one config entry and reject anything the registry cannot build
+function normalizeModelConfig(entry = {}) {
+  const type = String(entry.type || '').trim();
+  const id = String(entry.id || '').trim();
+  if (!id) throw new Error('Model config needs an id');
+  if (!types.has(type)) throw new Error(`Unknown model type: ${type || '(none)'}`);
+  if (entry.params != null && (typeof entry.params !== 'object' || Array.isArray(entry.params))) {
+    throw new Error(`Model ${id}: params must be an object`);
+  }
+  return {
+    id,
+    type,
+    enabled: entry.enabled !== false,
+    params: { ...(entry.params || {}) },
+    ...(Array.isArray(entry.games) ? { games: entry.games.map(String) } : {}),
+    // shadow models are challengers: run and scored every period, never served
+    ...(entry.shadow === true ? { shadow: true } : {}),
+    ...(entry.shadow === true && entry.replaces ? { replaces: String(entry.replaces) } : {})
+  };
+}
+
+function createModel(entry) {
+  const config = normalizeModelConfig(entry);
+  const model = types.get(config.type).factory(config.id, config.params);
+  const missing = CONTRACT.filter(fn => typeof model[fn] !== 'function');
+  if (missing.length > 0) throw new Error(`Model type ${config.type} is missing: ${missing.join(', ')}`);
+  model.type = config.type;
+  return model;
+}
+
+// Read the model list from MODELS_CONFIG (default ./models.config.json). Entries may be
+// limited to some games with `games: ["1min", ...]`; a missing file means DEFAULT_MODELS.
+function loadModelConfig(file = process.env.MODELS_CONFIG || DEFAULT_CONFIG_FILE, game = null) {
+  let entries = DEFAULT_MODELS;
+  const parsed = readConfigFile(file);
+  if (parsed) {
+    entries = Array.isArray(parsed) ? parsed : parsed.models;
+    if (!Array.isArray(entries)) throw new Error(`${file}: expected a "models" array`);
+  }
+  const configs = entries.map(normalizeModelConfig);
+  const ids = new Set();
+  for (const c of configs) {
+    if (ids.has(c.id)) throw new Error(`${file}: duplicate model id ${c.id}`);
+    ids.add(c.id);
+  }
+  return game ? configs.filter(c => !c.games || c.games.includes(game)) : configs;
+}
+
+// The `abstain` block of the same config file (see abstain.js); off when absent
+function loadAbstainPolicy(file = process.env.MODELS_CONFIG || DEFAULT_CONFIG_FILE) {
+  const parsed = readConfigFile(file);
+  return normalizeAbstainPolicy(parsed && !Array.isArray(parsed) ? parsed.abstain || {} : {});
+}
+
+// The `promotion` block: when a challenger may join the ensemble (see challengers.js)
+function loadPromotionPolicy(file = process.env.MODELS_CONFIG || DEFAULT_CONFIG_FILE) {
+  const parsed = readConfigFile(file);
+  return normalizePromotionPolicy(parsed && !Array.isArray(parsed) ? parsed.promotion || {} : {});
+}
+
+function readConfigFile(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+registerModelType('kbt', (id, params) => new KBTModel(id, params), 'KBT Ultralogic streak/pattern heuristics');
+registerModelType('ai', (id, params) => new AIModel(id, params), 'FLONZA hybrid pattern/colour analysis');
+registerModelType('markov', (id, params) => new MarkovModel(id, params), 'Order-k Markov chain (params: alphabet bigsmall|digit, order, smoothing)');
+registerModelType('logistic', (id, params) => new LogisticModel(id, params), 'Online L2 logistic regression on helper features (params: learningRate, l2)');
+
+export {
+  DEFAULT_MODELS,
+  registerModelType,
+  listModelTypes,
+  normalizeModelConfig,
+  createModel,
+  loadModelConfig,
+  loadAbstainPolicy,
+  loadPromotionPolicy
+};
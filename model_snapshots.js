@@ -0,0 +1,114 @@
+// model_snapshots.js
+// Versioned snapshots of a game's complete ModelManager state, with diff and rollback.
+
+const SNAPSHOT_KEEP = parseInt(process.env.MODEL_SNAPSHOT_KEEP) || 500; // versions kept per game
+
+async function ensureSnapshotTable(pool) {
+  if (!pool) return;
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS model_snapshots (
+      id SERIAL PRIMARY KEY,
+      game TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      reason TEXT,
+      snapshot JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (game, version)
+    );
+  `);
+}
+
+// Store manager.serialize() as the next version; older versions beyond SNAPSHOT_KEEP are pruned.
+// MAX(version) + 1 is read under a per-game advisory lock so concurrent snapshots
+// (scheduler, admin routes) queue instead of colliding on UNIQUE (game, version).
+async function takeSnapshot(pool, manager, reason = 'manual') {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`model_snapshots:${manager.game}`]);
+    const { rows } = await client.query(
+      `INSERT INTO model_snapshots (game, version, reason, snapshot)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3
+       FROM model_snapshots WHERE game = $1
+       RETURNING version, reason, created_at`,
+      [manager.game, reason, JSON.stringify(manager.serialize())]
+    );
+    await client.query(
+      'DELETE FROM model_snapshots WHERE game = $1 AND version <= $2',
+      [manager.game, rows[0].version - SNAPSHOT_KEEP]
+    );
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function listSnapshots(pool, game, limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT version, reason, created_at,
+            jsonb_array_length(snapshot->'models')::int AS models
+     FROM model_snapshots
+     WHERE game = $1
+     ORDER BY version DESC
+     LIMIT $2`,
+    [game, Math.min(Math.max(parseInt(limit) || 50, 1), 500)]
+  );
+  return rows;
+}
+
+async function getSnapshot(pool, game, version) {
+  if (!/^\d+$/.test(String(version))) return null;
+  const { rows } = await pool.query(
+    'SELECT version, reason, created_at, snapshot FROM model_snapshots WHERE game = $1 AND version = $2',
+    [game, parseInt(version)]
+  );
+  return rows[0] || null;
+}
+
+function describe(value) {
+  return Array.isArray(value) ? `[${value.length} items]` : value;
+}
+
+// Leaf-level differences between two JSON values. Arrays are compared whole and
+// reported by length so rolling histories don't flood the output.
+function diffValues(from, to, path = '', out = []) {
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (isObject(from) && isObject(to)) {
+    for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+      diffValues(from[key], to[key], path ? `${path}.${key}` : key, out);
+    }
+  } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+    out.push({ path, from: describe(from), to: describe(to) });
+  }
+  return out;
+}
+
+// Per-model and settings differences between two serialized managers
+function diffSnapshots(from, to) {
+  const byId = snap => new Map((snap.models || []).map(e => [e.config.id, e]));
+  const a = byId(from);
+  const b = byId(to);
+  const models = {};
+  for (const id of new Set([...a.keys(), ...b.keys()])) {
+    if (!a.has(id)) models[id] = { status: 'added' };
+    else if (!b.has(id)) models[id] = { status: 'removed' };
+    else {
+      const changes = diffValues(a.get(id), b.get(id));
+      if (changes.length > 0) models[id] = { status: 'changed', changes };
+    }
+  }
+  return { settings: diffValues(from.settings || {}, to.settings || {}), models };
+}
+
+export {
+  ensureSnapshotTable,
+  takeSnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffValues,
+  diffSnapshots
+};
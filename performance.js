@@ -0,0 +1,179 @@
+// performance.js
+// Prediction performance analysis over stored predictions: streaks, breakdowns,
+// significance and trivial baselines.
+
+import { wilsonInterval, binomialTest } from './stats_math.js';
+import { predictionRangeSql } from './query_filters.js';
+import { ABSTAIN_STATUS } from './abstain.js';
+
+const RESOLVED_STATUSES = ['✅ win', '❌ loss'];
+
+// Grouping keys accepted by /stats?groupBy=
+const GROUP_BY_SQL = {
+  hour: `to_char(date_trunc('hour', created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:00:00"Z"')`,
+  day: `to_char(date_trunc('day', created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD')`,
+  model: `COALESCE(model_id, 'unknown')`,
+  logic: `COALESCE(NULLIF(logic_used, ''), 'unknown')`
+};
+
+function percent(value) {
+  return parseFloat((value * 100).toFixed(2));
+}
+
+// Max and current win/loss streaks over an ordered list of booleans (true = win)
+function streakSummary(outcomes) {
+  let maxWinStreak = 0;
+  let maxLossStreak = 0;
+  let current = { type: null, length: 0 };
+  for (const win of outcomes) {
+    const type = win ? 'win' : 'loss';
+    current = current.type === type ? { type, length: current.length + 1 } : { type, length: 1 };
+    if (win) maxWinStreak = Math.max(maxWinStreak, current.length);
+    else maxLossStreak = Math.max(maxLossStreak, current.length);
+  }
+  return { maxWinStreak, maxLossStreak, currentStreak: current };
+}
+
+// Totals and streaks from the ordered resolved predictions in range
+async function resolvedSummary(pool, game, filters = {}) {
+  const range = predictionRangeSql(filters, 3);
+  const { rows } = await pool.query(
+    `SELECT status = $2 AS win
+     FROM predictions
+     WHERE game = $1 AND status = ANY($3)
+       ${range.sql}
+     ORDER BY period`,
+    [game.id, RESOLVED_STATUSES[0], RESOLVED_STATUSES, ...range.params]
+  );
+  const outcomes = rows.map(r => r.win);
+  const wins = outcomes.filter(Boolean).length;
+  return { total: outcomes.length, wins, losses: outcomes.length - wins, ...streakSummary(outcomes) };
+}
+
+// Share of drawn periods that got a BIG/SMALL call rather than NO_SIGNAL
+async function coverageSummary(pool, game, filters = {}) {
+  const range = predictionRangeSql(filters, 4);
+  const { rows } = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE status = ANY($2))::int AS covered,
+            COUNT(*) FILTER (WHERE status = $3)::int AS abstained,
+            COUNT(*) FILTER (WHERE status = $3 AND actual IS NOT NULL)::int AS abstained_drawn
+     FROM predictions
+     WHERE game = $1 AND status = ANY($4)
+       ${range.sql}`,
+    [game.id, RESOLVED_STATUSES, ABSTAIN_STATUS, [...RESOLVED_STATUSES, ABSTAIN_STATUS], ...range.params]
+  );
+  const { covered, abstained, abstained_drawn: drawn } = rows[0];
+  return {
+    coveredPeriods: covered,
+    abstentions: abstained,
+    coveragePercent: covered + drawn > 0 ? percent(covered / (covered + drawn)) : 0
+  };
+}
+
+// Win/loss counts grouped by time bucket, model or logic
+async function groupedSeries(pool, game, groupBy, filters = {}) {
+  const key = GROUP_BY_SQL[groupBy];
+  if (!key) throw new Error(`Unsupported groupBy: ${groupBy}`);
+  const range = predictionRangeSql(filters, 3);
+  const { rows } = await pool.query(
+    `SELECT ${key} AS key,
+            COUNT(*)::int AS predictions,
+            COUNT(*) FILTER (WHERE status = $2)::int AS wins
+     FROM predictions
+     WHERE game = $1 AND status = ANY($3)
+       ${range.sql}
+     GROUP BY 1
+     ORDER BY 1`,
+    [game.id, RESOLVED_STATUSES[0], RESOLVED_STATUSES, ...range.params]
+  );
+  return rows.map(r => ({
+    key: r.key,
+    predictions: r.predictions,
+    wins: r.wins,
+    losses: r.predictions - r.wins,
+    accuracyPercent: r.predictions ? percent(r.wins / r.predictions) : 0
+  }));
+}
+
+// Accuracy interval and exact binomial p-value against a 50% coin
+function significance(wins, total) {
+  const ci = wilsonInterval(wins, total);
+  return {
+    accuracyCI95: { lowerPercent: percent(ci.lower), upperPercent: percent(ci.upper) },
+    pValueVs50: total ? parseFloat(binomialTest(wins, total, 0.5).toPrecision(4)) : null
+  };
+}
+
+// Deterministic coin per period (FNV-1a of seed:period) so reruns compare identically
+function seededCoin(seed, period) {
+  let h = 0x811c9dc5;
+  const text = `${seed}:${period}`;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % 2 === 0 ? 'BIG' : 'SMALL';
+}
+
+const BASELINES = {
+  alwaysBig: () => 'BIG',
+  repeatLast: row => row.prev_actual,
+  oppositeLast: row => row.prev_actual && (row.prev_actual === 'BIG' ? 'SMALL' : 'BIG'),
+  coinFlip: (row, seed) => seededCoin(seed, row.period)
+};
+
+// Resolved predictions with the result of the draw just before each period,
+// from the draws archive or, failing that, the previous resolved prediction
+async function loadResolvedWithPrevious(pool, game, filters = {}) {
+  const range = predictionRangeSql(filters, 2, 'p');
+  const { rows } = await pool.query(
+    `SELECT p.period, p.prediction, p.actual, COALESCE(d.result_type, prev.actual) AS prev_actual
+     FROM predictions p
+     LEFT JOIN LATERAL (
+       SELECT CASE WHEN p.period ~ '^[0-9]+$' THEN (p.period::numeric - 1)::text END AS prev_period
+     ) pp ON TRUE
+     LEFT JOIN draws d ON d.game = p.game AND d.issue_number = pp.prev_period
+     LEFT JOIN predictions prev ON prev.game = p.game AND prev.period = pp.prev_period AND prev.actual IS NOT NULL
+     WHERE p.game = $1 AND p.status = ANY($2) AND p.actual IS NOT NULL
+       ${range.sql}
+     ORDER BY p.period`,
+    [game.id, RESOLVED_STATUSES, ...range.params]
+  );
+  return rows;
+}
+
+// Head-to-head against each baseline over exactly the periods that baseline can call
+function compareBaselines(rows, seed = 42) {
+  const result = {};
+  for (const [name, strategy] of Object.entries(BASELINES)) {
+    let periods = 0, baselineWins = 0, modelWins = 0;
+    for (const row of rows) {
+      const call = strategy(row, seed);
+      if (!call) continue; // repeat/opposite need the previous result
+      periods++;
+      if (call === row.actual) baselineWins++;
+      if (row.prediction === row.actual) modelWins++;
+    }
+    result[name] = {
+      periods,
+      baselineWins,
+      baselineAccuracyPercent: periods ? percent(baselineWins / periods) : 0,
+      modelWins,
+      modelAccuracyPercent: periods ? percent(modelWins / periods) : 0,
+      edgePercent: periods ? percent((modelWins - baselineWins) / periods) : 0
+    };
+  }
+  return { seed, ...result };
+}
+
+export {
+  GROUP_BY_SQL,
+  streakSummary,
+  resolvedSummary,
+  coverageSummary,
+  groupedSeries,
+  significance,
+  seededCoin,
+  loadResolvedWithPrevious,
+  compareBaselines
+};
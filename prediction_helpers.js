@@ -1,6 +1,8 @@
 // prediction_helpers.js
 // Advanced helper functions for perfect predictions
 
+import { now } from './clock.js';
+
 function detectStreaks(history) {
   const streaks = {
     current: { type: history[0].resultType, length: 1 },
@@ -52,8 +54,8 @@ function analyzeDistribution(history) {
 function analyzeTimingPatterns(history) {
   const intervals = [];
   for (let i = 1; i < history.length; i++) {
-    const t1 = new Date(history[i-1].createTime || Date.now()).getTime();
-    const t2 = new Date(history[i].createTime || Date.now()).getTime();
+    const t1 = new Date(history[i-1].createTime || now()).getTime();
+    const t2 = new Date(history[i].createTime || now()).getTime();
     intervals.push(t2 - t1);
   }
   
@@ -112,8 +114,8 @@ function calculateVolatility(history) {
 function detectManipulation(history) {
   const intervals = [];
   for (let i = 1; i < history.length; i++) {
-    const t1 = new Date(history[i-1].createTime || Date.now()).getTime();
-    const t2 = new Date(history[i].createTime || Date.now()).getTime();
+    const t1 = new Date(history[i-1].createTime || now()).getTime();
+    const t2 = new Date(history[i].createTime || now()).getTime();
     intervals.push(t2 - t1);
   }
   
@@ -230,6 +232,29 @@ function detectCyclicalPatterns(history) {
   return { isCyclical, cycleLength: Math.round(avgLength), strength: isCyclical ? 0.8 : 0.2 };
 }
 
+// ----- Probability utilities -----
+// log-odds, bounded so a single "certain" model cannot dominate a pool
+function logit(p) {
+  const q = Math.min(0.99, Math.max(0.01, p));
+  return Math.log(q / (1 - q));
+}
+
+// Weighted log-odds pool of P(BIG) estimates: sigmoid(sum(w * logit(p)) / sum(w))
+function combineLogOdds(entries) {
+  const usable = (entries || []).filter(e => Number.isFinite(e.pBig));
+  const totalWeight = usable.reduce((s, e) => s + (e.weight || 1), 0);
+  if (totalWeight <= 0) return 0.5;
+  const z = usable.reduce((s, e) => s + (e.weight || 1) * logit(e.pBig), 0) / totalWeight;
+  return 1 / (1 + Math.exp(-z));
+}
+
+// ----- Ensemble weights -----
+// Weight from a model's tracked hit rate: the configured base weight scaled by how far the
+// EMA of hits sits from a coin flip (0.6 -> 1.4x, 0.4 -> 0.6x), clamped to [min, max]
+function accuracyWeight(emaAccuracy, baseWeight, minWeight, maxWeight) {
+  return Math.max(minWeight, Math.min(maxWeight, baseWeight * (1 + (emaAccuracy - 0.5) * 4)));
+}
+
 function combineSignals(signals) {
   const weights = { short: 0.3, long: 0.2, pattern: 0.2, trend: 0.1, market: 0.2 };
   let bigScore = 0, smallScore = 0, totalWeight = 0;
@@ -271,5 +296,8 @@ export {
   assessMarketStability,
   calculateMomentum,
   detectCyclicalPatterns,
-  combineSignals
+  combineSignals,
+  logit,
+  combineLogOdds,
+  accuracyWeight
 };
\ No newline at end of file
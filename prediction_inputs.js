@@ -0,0 +1,113 @@
+// prediction_inputs.js
+// Inputs of every published prediction (history window, runtime options, pinned clock and
+// the full ModelManager state) so the engine can be re-run on them and checked by /replay.
+
+import { ModelManager } from './model_manager.js';
+import { withClock } from './clock.js';
+
+const RETENTION_DAYS = parseInt(process.env.PREDICTION_INPUTS_RETENTION_DAYS) || 30;
+
+// prediction fields a replay must reproduce exactly
+const REPLAY_FIELDS = ['prediction', 'confidence', 'pBig', 'probability', 'logic', 'chosenModel', 'patterns', 'markets', 'abstain', 'abstainedFrom'];
+
+async function ensurePredictionInputsTable(pool) {
+  if (!pool) return;
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS prediction_inputs (
+      game TEXT NOT NULL,
+      period TEXT NOT NULL,
+      clock_ms BIGINT NOT NULL,
+      history JSONB NOT NULL,
+      options JSONB,
+      manager JSONB NOT NULL,
+      output JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (game, period)
+    );
+    CREATE INDEX IF NOT EXISTS idx_prediction_inputs_created ON prediction_inputs(created_at);
+  `);
+}
+
+// Freeze what predict() is about to see; the JSON round trip detaches it from live state
+function captureInputs(manager, history, options, clock) {
+  return JSON.parse(JSON.stringify({ clock, history, options, manager: manager.serialize() }));
+}
+
+function outputOf(final) {
+  return JSON.parse(JSON.stringify(Object.fromEntries(REPLAY_FIELDS.map(f => [f, final[f] === undefined ? null : final[f]]))));
+}
+
+// JSONB does not keep object key order, so values are compared with sorted keys
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonical(value[k])]));
+  }
+  return value;
+}
+
+// Run the engine on captured inputs: the same clock against a manager rebuilt from its state
+function runOnInputs(game, inputs) {
+  const manager = new ModelManager(game, []).restoreSnapshot(inputs.manager);
+  return withClock(inputs.clock, () => manager.predict(inputs.history, inputs.options || {}));
+}
+
+// First write per (game, period) wins, like the published prediction
+async function storePredictionInputs(pool, game, period, inputs, final) {
+  if (!pool) return false;
+  const { rowCount } = await pool.query(
+    `INSERT INTO prediction_inputs (game, period, clock_ms, history, options, manager, output)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (game, period) DO NOTHING`,
+    [
+      game,
+      period,
+      inputs.clock,
+      JSON.stringify(inputs.history),
+      JSON.stringify(inputs.options || {}),
+      JSON.stringify(inputs.manager),
+      JSON.stringify(outputOf(final))
+    ]
+  );
+  return rowCount > 0;
+}
+
+// Drop a game's inputs older than PREDICTION_INPUTS_RETENTION_DAYS (default 30); run by a
+// periodic scheduler, not per insert. Returns the number of rows removed.
+async function prunePredictionInputs(pool, game) {
+  if (!pool) return 0;
+  const { rowCount } = await pool.query(
+    `DELETE FROM prediction_inputs WHERE game = $1 AND created_at < NOW() - make_interval(days => $2)`,
+    [game, RETENTION_DAYS]
+  );
+  return rowCount;
+}
+
+async function loadPredictionInputs(pool, game, period) {
+  const { rows } = await pool.query(
+    'SELECT clock_ms, history, options, manager, output, created_at FROM prediction_inputs WHERE game = $1 AND period = $2',
+    [game, period]
+  );
+  if (!rows[0]) return null;
+  const r = rows[0];
+  return { clock: Number(r.clock_ms), history: r.history, options: r.options, manager: r.manager, output: r.output, createdAt: r.created_at };
+}
+
+// Re-run a stored prediction and list every field that came out differently
+function replayPrediction(game, inputs) {
+  const replayed = outputOf(runOnInputs(game, inputs));
+  const mismatches = REPLAY_FIELDS
+    .filter(f => JSON.stringify(canonical(replayed[f])) !== JSON.stringify(canonical(inputs.output[f])))
+    .map(f => ({ field: f, stored: inputs.output[f], replayed: replayed[f] }));
+  return { reproduced: mismatches.length === 0, mismatches, stored: inputs.output, replayed };
+}
+
+export {
+  REPLAY_FIELDS,
+  ensurePredictionInputsTable,
+  captureInputs,
+  storePredictionInputs,
+  prunePredictionInputs,
+  loadPredictionInputs,
+  replayPrediction
+};
@@ -0,0 +1,199 @@
+// predictions_api.js
+// Filtered, sorted, cursor-paginated queries over stored predictions for /api/v1/predictions.
+
+import { predictionRangeSql } from './query_filters.js';
+import { ABSTAIN_STATUS } from './abstain.js';
+import { listEngines } from './engines.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// signal is stored as "78%"; confidence filters and sorting use the number
+const CONFIDENCE_SQL = `NULLIF(regexp_replace(p.signal, '[^0-9.]', '', 'g'), '')::double precision`;
+
+// sort key -> SQL expression and the type its cursor value is cast back to; ties break on id
+const SORTS = {
+  created_at: { sql: 'p.created_at', cast: 'timestamptz' },
+  period: { sql: 'p.period', cast: 'text' },
+  confidence: { sql: `COALESCE(${CONFIDENCE_SQL}, -1)`, cast: 'double precision' },
+  p_big: { sql: 'COALESCE(p.p_big, -1)', cast: 'double precision' }
+};
+
+const STATUS_ALIASES = {
+  win: '✅ win',
+  loss: '❌ loss',
+  pending: 'pending',
+  no_signal: ABSTAIN_STATUS,
+  abstain: ABSTAIN_STATUS
+};
+
+const LIST_COLUMNS = `p.id, p.game, p.period, p.prediction, p.actual, p.actual_number, p.status, p.signal, p.p_big,
+       p.model_id, p.logic_used, p.logic_id, p.patterns, p.created_at, p.updated_at,
+       COALESCE(r.revisions, 0)::int AS revisions, r.published_revision`;
+
+// Per-row lateral aggregate: only the page's (game, period) pairs are counted, through
+// idx_prediction_revisions_game_period, instead of grouping the whole table first
+const REVISIONS_JOIN = `LEFT JOIN LATERAL (
+         SELECT COUNT(*) AS revisions, MIN(revision) FILTER (WHERE published) AS published_revision
+         FROM prediction_revisions
+         WHERE game = p.game AND period = p.period
+       ) r ON true`;
+
+function list(value) {
+  if (value == null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+    if (cursor && typeof cursor.v === 'string' && Number.isInteger(cursor.id)) return cursor;
+  } catch (err) {
+    // fall through to the error below
+  }
+  throw new Error('cursor is not valid');
+}
+
+function percentBound(value, name) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 100) throw new Error(`${name} must be a number from 0 to 100`);
+  return n;
+}
+
+// Validate the query string; throws with a message suitable for a 400
+function parsePredictionQuery(query = {}) {
+  const sort = query.sort || 'created_at';
+  if (!SORTS[sort]) throw new Error(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  const order = String(query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') throw new Error('order must be asc or desc');
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new Error(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+
+  const statuses = list(query.status).map(s => STATUS_ALIASES[s.toLowerCase()] || s);
+  const engines = list(query.engine);
+  const known = new Map(listEngines().map(e => [e.id, e.logicIds]));
+  const unknownEngine = engines.find(e => !known.has(e));
+  if (unknownEngine) throw new Error(`Unknown engine: ${unknownEngine}`);
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && (cursor.s !== sort || cursor.o !== order)) {
+    throw new Error('cursor was issued for a different sort/order');
+  }
+
+  const filters = {
+    statuses,
+    predictions: list(query.prediction).map(p => p.toUpperCase()),
+    modelIds: list(query.model_id || query.modelId),
+    logic: list(query.logic),
+    engineLogicIds: engines.length ? engines.flatMap(e => known.get(e)) : null,
+    minConfidence: percentBound(query.minConfidence, 'minConfidence'),
+    maxConfidence: percentBound(query.maxConfidence, 'maxConfidence')
+  };
+  return { sort, order, limit, cursor, filters, range: query };
+}
+
+// One page of predictions; `nextCursor` continues after the last row with the same sort
+async function queryPredictions(pool, game, parsed) {
+  const { sort, order, limit, cursor, filters } = parsed;
+  const key = SORTS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const params = [game.id];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const where = ['p.game = $1'];
+  if (filters.statuses.length) where.push(`p.status = ANY(${param(filters.statuses)})`);
+  if (filters.predictions.length) where.push(`p.prediction = ANY(${param(filters.predictions)})`);
+  if (filters.modelIds.length) where.push(`p.model_id = ANY(${param(filters.modelIds)})`);
+  if (filters.logic.length) {
+    const logic = param(filters.logic);
+    where.push(`(p.logic_id = ANY(${logic}) OR p.logic_used = ANY(${logic}))`);
+  }
+  if (filters.engineLogicIds) where.push(`p.logic_id = ANY(${param(filters.engineLogicIds)})`);
+  if (filters.minConfidence !== null) where.push(`${CONFIDENCE_SQL} >= ${param(filters.minConfidence)}`);
+  if (filters.maxConfidence !== null) where.push(`${CONFIDENCE_SQL} <= ${param(filters.maxConfidence)}`);
+  if (cursor) {
+    where.push(`(${key.sql}, p.id) ${order === 'asc' ? '>' : '<'} (${param(cursor.v)}::${key.cast}, ${param(cursor.id)}::int)`);
+  }
+  const range = predictionRangeSql(parsed.range, params.length, 'p');
+  params.push(...range.params);
+
+  const { rows } = await pool.query(
+    `SELECT ${LIST_COLUMNS}, (${key.sql})::text AS cursor_value
+     FROM predictions p
+     ${REVISIONS_JOIN}
+     WHERE ${where.join(' AND ')}
+       ${range.sql}
+     ORDER BY ${key.sql} ${direction}, p.id ${direction}
+     LIMIT ${param(limit + 1)}`,
+    params
+  );
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    data: page.map(({ cursor_value, ...row }) => row),
+    page: {
+      limit,
+      sort,
+      order,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ s: sort, o: order, v: last.cursor_value, id: last.id }) : null
+    }
+  };
+}
+
+// Everything stored for one period: the prediction, its revisions, per-model calls and markets
+async function loadPredictionDetail(pool, game, period) {
+  const { rows } = await pool.query(
+    `SELECT ${LIST_COLUMNS}, p.contributors, p.trace
+     FROM predictions p
+     ${REVISIONS_JOIN}
+     WHERE p.game = $1 AND p.period = $2`,
+    [game.id, period]
+  );
+  if (!rows[0]) return null;
+  const [revisions, modelCalls, markets] = await Promise.all([
+    loadRevisions(pool, game, period),
+    pool.query(
+      `SELECT model_id, prediction, confidence, p_big, actual, correct, created_at, resolved_at
+       FROM model_predictions WHERE game = $1 AND period = $2 ORDER BY model_id`,
+      [game.id, period]
+    ),
+    pool.query(
+      `SELECT market, prediction, probability, distribution, actual, actual_number, status
+       FROM market_predictions WHERE game = $1 AND period = $2 ORDER BY market`,
+      [game.id, period]
+    )
+  ]);
+  return { prediction: rows[0], revisions, modelCalls: modelCalls.rows, markets: markets.rows };
+}
+
+async function loadRevisions(pool, game, period) {
+  const { rows } = await pool.query(
+    `SELECT revision, published, prediction, signal, model_id, logic_used, logic_id, patterns, contributors, created_at
+     FROM prediction_revisions
+     WHERE game = $1 AND period = $2
+     ORDER BY revision`,
+    [game.id, period]
+  );
+  return rows;
+}
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePredictionQuery,
+  queryPredictions,
+  loadPredictionDetail,
+  loadRevisions
+};
@@ -0,0 +1,37 @@
+// query_filters.js
+// Shared parsing of range query parameters.
+
+// from/to accept either an issue number (digits only) or a date/time; since/until are
+// always date/times. Returns { fromIssue, toIssue, since, until } with nulls for unset bounds.
+function rangeFilters(query = {}) {
+  const isIssue = v => typeof v === 'string' && /^\d{9,}$/.test(v);
+  const asTime = v => {
+    if (v == null || v === '' || v === true) return null;
+    const t = new Date(v);
+    return isNaN(t.getTime()) ? null : t.toISOString();
+  };
+
+  return {
+    fromIssue: isIssue(query.from) ? query.from : null,
+    toIssue: isIssue(query.to) ? query.to : null,
+    since: asTime(query.since) || (isIssue(query.from) ? null : asTime(query.from)),
+    until: asTime(query.until) || (isIssue(query.to) ? null : asTime(query.to))
+  };
+}
+
+// SQL fragment restricting predictions to a range. Placeholders are numbered after the
+// `offset` parameters the caller already uses; append `params` to the query values.
+function predictionRangeSql(query, offset, alias = '') {
+  const { fromIssue, toIssue, since, until } = rangeFilters(query);
+  const col = name => (alias ? `${alias}.${name}` : name);
+  const n = i => `$${offset + i}`;
+  return {
+    sql: `AND (${n(1)}::text IS NULL OR ${col('period')} >= ${n(1)})
+       AND (${n(2)}::text IS NULL OR ${col('period')} <= ${n(2)})
+       AND (${n(3)}::timestamptz IS NULL OR ${col('created_at')} >= ${n(3)})
+       AND (${n(4)}::timestamptz IS NULL OR ${col('created_at')} <= ${n(4)})`,
+    params: [fromIssue, toIssue, since, until]
+  };
+}
+
+export { rangeFilters, predictionRangeSql };
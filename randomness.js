@@ -0,0 +1,195 @@
+// randomness.js
+// Randomness audit over archived draws: a battery of independence / uniformity tests.
+
+import { binomialTest, twoSidedNormalP, chiSquareSurvival } from './stats_math.js';
+import { loadDrawSequence } from './draws_archive.js';
+
+const AUTOCORRELATION_LAGS = [1, 2, 3, 5, 10];
+const MIN_EXPECTED_CELL = 5; // chi-square approximation is unreliable below this
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+function pValue(p) {
+  return Number.isFinite(p) ? parseFloat(p.toPrecision(4)) : null;
+}
+
+// Wald–Wolfowitz runs test on the BIG/SMALL sequence
+function runsTest(types) {
+  const n1 = types.filter(t => t === 'BIG').length;
+  const n2 = types.length - n1;
+  if (n1 === 0 || n2 === 0) return { test: 'runs', n: types.length, statistic: null, pValue: null, note: 'single-valued sequence' };
+  let runs = 1;
+  for (let i = 1; i < types.length; i++) if (types[i] !== types[i - 1]) runs++;
+  const n = n1 + n2;
+  const expected = (2 * n1 * n2) / n + 1;
+  const variance = (2 * n1 * n2 * (2 * n1 * n2 - n)) / (n * n * (n - 1));
+  const z = variance > 0 ? (runs - expected) / Math.sqrt(variance) : 0;
+  return { test: 'runs', n, runs, expectedRuns: round(expected, 2), statistic: round(z), pValue: pValue(twoSidedNormalP(z)) };
+}
+
+// Pearson chi-square goodness of fit against a uniform distribution over `cells`
+function chiSquareUniform(name, counts, extra = {}) {
+  const total = counts.reduce((a, b) => a + b, 0);
+  const expected = total / counts.length;
+  if (total === 0) return { test: name, n: 0, statistic: null, pValue: null };
+  const statistic = counts.reduce((s, c) => s + ((c - expected) ** 2) / expected, 0);
+  const df = counts.length - 1;
+  return {
+    test: name,
+    n: total,
+    df,
+    statistic: round(statistic),
+    pValue: pValue(chiSquareSurvival(statistic, df)),
+    ...(expected < MIN_EXPECTED_CELL ? { note: `expected count per cell ${round(expected, 2)} < ${MIN_EXPECTED_CELL}; approximation unreliable` } : {}),
+    ...extra
+  };
+}
+
+function digitFrequencyTest(digits) {
+  const counts = Array(10).fill(0);
+  digits.forEach(d => counts[d]++);
+  return chiSquareUniform('digit_frequency', counts, { counts });
+}
+
+// Serial test on non-overlapping pairs, for digits (100 cells) and BIG/SMALL (4 cells)
+function serialTests(digits, types) {
+  const digitPairs = Array(100).fill(0);
+  const typePairs = { 'BIG>BIG': 0, 'BIG>SMALL': 0, 'SMALL>BIG': 0, 'SMALL>SMALL': 0 };
+  for (let i = 0; i + 1 < digits.length; i += 2) {
+    digitPairs[digits[i] * 10 + digits[i + 1]]++;
+    typePairs[`${types[i]}>${types[i + 1]}`]++;
+  }
+  return [
+    chiSquareUniform('serial_digit_pairs', digitPairs),
+    chiSquareUniform('serial_bigsmall_pairs', Object.values(typePairs), { counts: typePairs })
+  ];
+}
+
+// Sample autocorrelation of the digit sequence; r_k * sqrt(n) is ~N(0,1) under independence
+function autocorrelationTests(digits) {
+  const n = digits.length;
+  const mean = digits.reduce((a, b) => a + b, 0) / (n || 1);
+  const denom = digits.reduce((s, d) => s + (d - mean) ** 2, 0);
+  return AUTOCORRELATION_LAGS.filter(lag => lag < n).map(lag => {
+    let num = 0;
+    for (let i = 0; i + lag < n; i++) num += (digits[i] - mean) * (digits[i + lag] - mean);
+    const r = denom > 0 ? num / denom : 0;
+    const z = r * Math.sqrt(n);
+    return { test: `autocorrelation_lag_${lag}`, n, lag, statistic: round(r), z: round(z), pValue: pValue(twoSidedNormalP(z)) };
+  });
+}
+
+function balanceTest(types) {
+  const big = types.filter(t => t === 'BIG').length;
+  return {
+    test: 'bigsmall_balance',
+    n: types.length,
+    big,
+    small: types.length - big,
+    statistic: round(types.length ? big / types.length : 0),
+    pValue: types.length ? pValue(binomialTest(big, types.length, 0.5)) : null
+  };
+}
+
+// Run every test over a draw sequence (oldest first)
+function auditSequence(draws, alpha = 0.01) {
+  const digits = draws.map(d => d.number).filter(n => Number.isInteger(n) && n >= 0 && n <= 9);
+  const types = draws.map(d => d.resultType);
+  const tests = [
+    runsTest(types),
+    digitFrequencyTest(digits),
+    ...serialTests(digits, types),
+    ...autocorrelationTests(digits),
+    balanceTest(types)
+  ];
+  // tests whose approximation is unreliable (noted) never raise a flag
+  const flagged = tests.filter(t => t.pValue !== null && !t.note && t.pValue < alpha).map(t => t.test);
+  return {
+    draws: draws.length,
+    first: draws.length ? draws[0].issueNumber : null,
+    last: draws.length ? draws[draws.length - 1].issueNumber : null,
+    alpha,
+    flagged,
+    tests
+  };
+}
+
+async function ensureRandomnessTable(pool) {
+  if (!pool) return;
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS randomness_audits (
+      id SERIAL PRIMARY KEY,
+      game TEXT NOT NULL,
+      day DATE NOT NULL,
+      draws INTEGER NOT NULL,
+      first_issue TEXT,
+      last_issue TEXT,
+      flagged TEXT[],
+      results JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (game, day)
+    );
+  `);
+}
+
+// Largest range /randomness audits in one request
+const MAX_AUDIT_DRAWS = 20000;
+
+// null when the range holds more than MAX_AUDIT_DRAWS draws (only one past the cap is read)
+async function auditRange(pool, game, filters = {}) {
+  const draws = await loadDrawSequence(pool, game, filters, { limit: MAX_AUDIT_DRAWS + 1 });
+  if (draws.length > MAX_AUDIT_DRAWS) return null;
+  const alpha = parseFloat(filters.alpha) || 0.01;
+  return { game: game.id, ...auditSequence(draws, alpha) };
+}
+
+// Audit one issue-day (YYYYMMDD, the date prefix of issue numbers) and store the result
+async function recordDailyAudit(pool, game, day) {
+  const from = `${day}${game.typeCode}0000`;
+  const to = `${day}${game.typeCode}9999`;
+  const draws = await loadDrawSequence(pool, game, { from, to });
+  if (draws.length === 0) return null;
+
+  const audit = auditSequence(draws);
+  await pool.query(
+    `INSERT INTO randomness_audits (game, day, draws, first_issue, last_issue, flagged, results)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (game, day) DO UPDATE SET
+       draws = EXCLUDED.draws,
+       first_issue = EXCLUDED.first_issue,
+       last_issue = EXCLUDED.last_issue,
+       flagged = EXCLUDED.flagged,
+       results = EXCLUDED.results,
+       created_at = NOW()`,
+    [game.id, `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`, audit.draws, audit.first, audit.last, audit.flagged, JSON.stringify(audit.tests)]
+  );
+  return audit;
+}
+
+async function listAudits(pool, game, limit = 30) {
+  const { rows } = await pool.query(
+    `SELECT game, day::text AS day, draws, first_issue, last_issue, flagged, results, created_at
+     FROM randomness_audits
+     WHERE game = $1
+     ORDER BY day DESC
+     LIMIT $2`,
+    [game.id, Math.min(Math.max(parseInt(limit) || 30, 1), 365)]
+  );
+  return rows;
+}
+
+export {
+  MAX_AUDIT_DRAWS,
+  runsTest,
+  digitFrequencyTest,
+  serialTests,
+  autocorrelationTests,
+  balanceTest,
+  auditSequence,
+  ensureRandomnessTable,
+  auditRange,
+  recordDailyAudit,
+  listAudits
+};
@@ -1,10 +1,49 @@
 // server.js — Backend only (safe for Render)
 import express from 'express';
-import pg from 'pg';
-import fetch from 'node-fetch';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { getConnectionString, createPool } from './db.js';
+import { createDrawSource, parseDraws } from './draw_sources.js';
+import { DEFAULT_GAME, listGames, resolveGames, generateGameUrl, generateWindowUrl, nextIssueNumber } from './games.js';
+import { ensureDrawsTable, upsertDraws, queryDraws, loadDrawSequence, findGaps, backfillGaps } from './draws_archive.js';
+import { runBacktestInWorker } from './backtest.js';
+import { calibrationReport } from './calibration.js';
+import {
+  GROUP_BY_SQL,
+  resolvedSummary,
+  coverageSummary,
+  groupedSeries,
+  significance,
+  loadResolvedWithPrevious,
+  compareBaselines
+} from './performance.js';
+import { MAX_AUDIT_DRAWS, ensureRandomnessTable, auditRange, recordDailyAudit, listAudits } from './randomness.js';
+import { EventHub, sseHandler, attachWebSocket } from './event_stream.js';
+import { NO_SIGNAL, ABSTAIN_STATUS } from './abstain.js';
+import { compareWithChampion, promotionDecision } from './challengers.js';
+import { ensurePredictionInputsTable, captureInputs, storePredictionInputs, prunePredictionInputs, loadPredictionInputs, replayPrediction } from './prediction_inputs.js';
+import { now, withClock } from './clock.js';
+import { describeTrace } from './explain.js';
+import { engineReport } from './engines.js';
+import { parsePredictionQuery, queryPredictions, loadPredictionDetail, loadRevisions } from './predictions_api.js';
+import { ensureSnapshotTable, takeSnapshot, listSnapshots, getSnapshot, diffSnapshots } from './model_snapshots.js';
+import { sendError, createApi, installErrorHandlers, openApiDocument } from './api.js';
+import { FORMATS as EXPORT_FORMATS, DATASETS as EXPORT_DATASETS, exportColumns, writeExport } from './exports.js';
+import { ROUTE_SPECS } from './api_spec.js';
+import {
+  ensureModelPredictionsTable,
+  storeModelPredictions,
+  resolveModelPredictions,
+  modelPerformance
+} from './model_predictions.js';
+import {
+  ensureMarketTable,
+  storeMarketPredictions,
+  loadMarketPredictions,
+  resolveMarketPredictions,
+  marketSummary
+} from './markets.js';
 
 // Load .env
 try {
@@ -14,46 +53,34 @@ try {
   console.warn('dotenv not installed or failed to load; skipping .env load');
 }
 
-const { Pool } = pg;
 const app = express();
 const PORT = process.env.PORT || 3000;
+const events = new EventHub(); // live push of loop events (/stream, /stream/ws)
 
 // __dirname replacement for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Win Go 1Min API Generator
-function generateWingoUrl() {
-  const now = new Date();
-  const today = now.toISOString().slice(0, 10).replace(/-/g, "");
-  const msSinceMidnight = now - new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const minutesSinceMidnight = Math.floor(msSinceMidnight / 60000);
-  const drawNumber = ((minutesSinceMidnight + 1440) % 1440).toString().padStart(4, '0');
-  return `https://wingo.oss-ap-southeast-7.aliyuncs.com/WinGo_1_${today}10001${drawNumber}_past100_draws`;
-}
+// Draw source (http | record | replay), chosen through configuration
+const drawSourceConfig = {
+  kind: process.env.DRAW_SOURCE,
+  recordDir: process.env.DRAW_RECORD_DIR,
+  replayPath: process.env.DRAW_REPLAY_PATH,
+  replayLoop: process.env.DRAW_REPLAY_LOOP
+};
 
 // Database connection
-const connectionString = process.env.DATABASE_URL || 
-  (process.env.PGHOST ? 
-    `postgresql://${encodeURIComponent(process.env.PGUSER || 'postgres')}${process.env.PGPASSWORD ? ':' + encodeURIComponent(process.env.PGPASSWORD) : ''}@${process.env.PGHOST}:${process.env.PGPORT || '5432'}/${process.env.PGDATABASE || 'postgres'}` 
-    : null
-  );
-
 let pool = null;
 
 // Initialize database
 async function initializeDatabase() {
-  if (!connectionString) {
+  if (!getConnectionString()) {
     console.warn('No database connection string found. Starting without DB persistence.');
     return null;
   }
 
   try {
-    pool = new Pool({ 
-      connectionString, 
-      max: 10,
-      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-    });
+    pool = createPool();
     
     // Test connection
     const client = await pool.connect();
@@ -65,7 +92,8 @@ async function initializeDatabase() {
       await client.query(`
         CREATE TABLE IF NOT EXISTS predictions (
           id SERIAL PRIMARY KEY,
-          period TEXT UNIQUE NOT NULL,
+          game TEXT NOT NULL DEFAULT '1min',
+          period TEXT NOT NULL,
           prediction TEXT NOT NULL,
           actual TEXT,
           actual_number INTEGER,
@@ -75,23 +103,49 @@ async function initializeDatabase() {
           logic_used TEXT,
           patterns TEXT[],
           contributors JSONB,
+          p_big DOUBLE PRECISION,
+          trace JSONB,
+          logic_id TEXT,
           created_at TIMESTAMPTZ DEFAULT NOW(),
-          updated_at TIMESTAMPTZ DEFAULT NOW()
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE (game, period)
         );
 
         CREATE TABLE IF NOT EXISTS models (
-          id TEXT PRIMARY KEY,
+          game TEXT NOT NULL DEFAULT '1min',
+          id TEXT NOT NULL,
           name TEXT,
           weight DOUBLE PRECISION,
           wins INTEGER DEFAULT 0,
           losses INTEGER DEFAULT 0,
           ema_accuracy DOUBLE PRECISION DEFAULT 0.5,
-          updated_at TIMESTAMPTZ DEFAULT NOW()
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (game, id)
+        );
+
+        CREATE TABLE IF NOT EXISTS prediction_revisions (
+          id SERIAL PRIMARY KEY,
+          game TEXT NOT NULL,
+          period TEXT NOT NULL,
+          revision INTEGER NOT NULL,
+          published BOOLEAN NOT NULL DEFAULT FALSE,
+          prediction TEXT NOT NULL,
+          signal TEXT,
+          model_id TEXT,
+          logic_used TEXT,
+          patterns TEXT[],
+          contributors JSONB,
+          p_big DOUBLE PRECISION,
+          trace JSONB,
+          logic_id TEXT,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE (game, period, revision)
         );
 
         CREATE INDEX IF NOT EXISTS idx_predictions_period ON predictions(period);
         CREATE INDEX IF NOT EXISTS idx_predictions_status ON predictions(status);
         CREATE INDEX IF NOT EXISTS idx_models_updated_at ON models(updated_at);
+        CREATE INDEX IF NOT EXISTS idx_prediction_revisions_game_period ON prediction_revisions(game, period);
       `);
       console.log('✅ Database tables initialized');
     } finally {
@@ -160,6 +214,89 @@ async function ensureTableStructure() {
         `);
         console.log('✅ Added ema_accuracy column to models table');
       }
+
+      // Key predictions by (game, period) — older tables were keyed by period only
+      const { rows: predGameCheck } = await client.query(`
+        SELECT column_name 
+        FROM information_schema.columns 
+        WHERE table_name = 'predictions' AND column_name = 'game'
+      `);
+      
+      if (predGameCheck.length === 0) {
+        console.log('🔄 Adding game column to predictions table...');
+        await client.query(`
+          ALTER TABLE predictions ADD COLUMN game TEXT NOT NULL DEFAULT '1min';
+          ALTER TABLE predictions DROP CONSTRAINT IF EXISTS predictions_period_key;
+          ALTER TABLE predictions ADD CONSTRAINT predictions_game_period_key UNIQUE (game, period);
+        `);
+        console.log('✅ Added game column to predictions table');
+      }
+
+      // Key models by (game, id) so every game keeps its own weights
+      const { rows: modelGameCheck } = await client.query(`
+        SELECT column_name 
+        FROM information_schema.columns 
+        WHERE table_name = 'models' AND column_name = 'game'
+      `);
+      
+      if (modelGameCheck.length === 0) {
+        console.log('🔄 Adding game column to models table...');
+        await client.query(`
+          ALTER TABLE models ADD COLUMN game TEXT NOT NULL DEFAULT '1min';
+          ALTER TABLE models DROP CONSTRAINT IF EXISTS models_pkey;
+          ALTER TABLE models ADD PRIMARY KEY (game, id);
+        `);
+        console.log('✅ Added game column to models table');
+      }
+
+      // Unclamped ensemble P(BIG) stored next to the display signal
+      const { rows: pBigCheck } = await client.query(`
+        SELECT column_name 
+        FROM information_schema.columns 
+        WHERE table_name = 'predictions' AND column_name = 'p_big'
+      `);
+      
+      if (pBigCheck.length === 0) {
+        console.log('🔄 Adding p_big column to predictions tables...');
+        await client.query(`
+          ALTER TABLE predictions ADD COLUMN p_big DOUBLE PRECISION;
+          ALTER TABLE prediction_revisions ADD COLUMN IF NOT EXISTS p_big DOUBLE PRECISION;
+        `);
+        console.log('✅ Added p_big column to predictions tables');
+      }
+
+      // Structured decision trace served by /explain/:period
+      const { rows: traceCheck } = await client.query(`
+        SELECT column_name 
+        FROM information_schema.columns 
+        WHERE table_name = 'predictions' AND column_name = 'trace'
+      `);
+      
+      if (traceCheck.length === 0) {
+        console.log('🔄 Adding trace column to predictions tables...');
+        await client.query(`
+          ALTER TABLE predictions ADD COLUMN trace JSONB;
+          ALTER TABLE prediction_revisions ADD COLUMN IF NOT EXISTS trace JSONB;
+        `);
+        console.log('✅ Added trace column to predictions tables');
+      }
+
+      // Registry logic id (engines.js) of the rule behind each prediction
+      const { rows: logicIdCheck } = await client.query(`
+        SELECT column_name 
+        FROM information_schema.columns 
+        WHERE table_name = 'predictions' AND column_name = 'logic_id'
+      `);
+      
+      if (logicIdCheck.length === 0) {
+        console.log('🔄 Adding logic_id column to predictions tables...');
+        await client.query(`
+          ALTER TABLE predictions ADD COLUMN logic_id TEXT;
+          ALTER TABLE prediction_revisions ADD COLUMN IF NOT EXISTS logic_id TEXT;
+          CREATE INDEX IF NOT EXISTS idx_predictions_logic_id ON predictions(game, logic_id);
+        `);
+        console.log('✅ Added logic_id column to predictions tables');
+      }
     } finally {
       client.release();
     }
@@ -172,36 +309,50 @@ async function ensureTableStructure() {
 import * as kbtModels from './kbt_models.js';
 import * as aiModels from './ai_models.js';
 import { getEngineName } from './ensemble.js';
-import modelManager from './model_manager.js';
+import { ModelManager } from './model_manager.js';
+import { listModelTypes } from './model_registry.js';
 
 // Prediction storage functions
-async function storePrediction(period, prediction, signal, modelId, logicUsed, patterns, contributors) {
+// Predictions are immutable once published: the first write for a period becomes the
+// predictions row (revision 1, published); any re-prediction is only added as a revision.
+async function storePrediction(game, period, prediction, signal, modelId, logicUsed, patterns, contributors, pBig = null, trace = null, logicId = null) {
   if (!pool) return null;
   
   try {
+    // contributors is JSONB: serialize explicitly, pg would send a JS array as a Postgres array
+    const contributorsJson = JSON.stringify(contributors || []);
+    const traceJson = trace ? JSON.stringify(trace) : null;
+    // abstentions never resolve to win/loss
+    const status = prediction === NO_SIGNAL ? ABSTAIN_STATUS : 'pending';
     const result = await pool.query(
       `INSERT INTO predictions 
-       (period, prediction, signal, model_id, logic_used, patterns, contributors) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       ON CONFLICT (period) DO UPDATE SET 
-       prediction = $2,
-       signal = $3,
-       model_id = $4,
-       logic_used = $5,
-       patterns = $6,
-       contributors = $7,
-       updated_at = NOW()
+       (game, period, prediction, signal, model_id, logic_used, patterns, contributors, p_big, status, trace, logic_id) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (game, period) DO NOTHING
        RETURNING id`,
-      [period, prediction, signal, modelId, logicUsed, patterns, contributors]
+      [game, period, prediction, signal, modelId, logicUsed, patterns, contributorsJson, pBig, status, traceJson, logicId]
+    );
+    const published = result.rows.length > 0;
+
+    const { rows: revRows } = await pool.query(
+      `INSERT INTO prediction_revisions
+       (game, period, revision, published, prediction, signal, model_id, logic_used, patterns, contributors, p_big, trace, logic_id)
+       SELECT $1, $2, COALESCE(MAX(revision), 0) + 1, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+       FROM prediction_revisions WHERE game = $1 AND period = $2
+       RETURNING revision`,
+      [game, period, published, prediction, signal, modelId, logicUsed, patterns, contributorsJson, pBig, traceJson, logicId]
     );
-    return result.rows[0].id;
+    if (!published) {
+      console.warn(`⚠️ [${game}] Period ${period} already published; stored as revision ${revRows[0].revision}`);
+    }
+    return { id: published ? result.rows[0].id : null, revision: revRows[0].revision, published };
   } catch (err) {
     console.error('Failed to store prediction:', err.message);
     return null;
   }
 }
 
-async function updatePredictionResult(period, actual, actualNumber) {
+async function updatePredictionResult(game, period, actual, actualNumber) {
   if (!pool) return;
   
   try {
@@ -211,78 +362,156 @@ async function updatePredictionResult(period, actual, actualNumber) {
            actual_number = $2,
            status = 'completed',
            updated_at = NOW()
-       WHERE period = $3`,
-      [actual, actualNumber, period]
+       WHERE game = $3 AND period = $4`,
+      [actual, actualNumber, game, period]
     );
   } catch (err) {
     console.error('Failed to update prediction result:', err.message);
   }
 }
 
-// Win Go 1Min API data fetcher
-async function fetchWingoData() {
+// Win Go API data fetcher (per game)
+async function fetchWingoData(runtime) {
   try {
-    const url = generateWingoUrl();
-    console.log('🔄 Fetching from:', url);
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await runtime.source.fetchRaw();
     
     if (!Array.isArray(data) || data.length === 0) {
       throw new Error('No data received from Win Go API');
     }
     
-    // Process Win Go 1Min data format
-    const results = data.map(item => ({
-      issueNumber: item.issueNumber || item.content?.issueNumber,
-      number: parseInt(item.content?.number || item.number),
-      resultType: (parseInt(item.content?.number || item.number) >= 5) ? 'BIG' : 'SMALL',
-      createTime: item.createTime || new Date().toISOString(),
-      colour: item.content?.colour,
-      premium: item.content?.premium
-    })).filter(item => item.issueNumber && !isNaN(item.number));
+    // Process Win Go data format
+    const results = parseDraws(data);
+
+    // Archive the whole window; overlapping windows keep the archive contiguous
+    if (pool) await upsertDraws(pool, runtime.game, results);
     
     return results;
   } catch (error) {
-    console.error('❌ Error fetching Win Go 1Min data:', error.message);
+    console.error(`❌ Error fetching ${runtime.game.label} data:`, error.message);
     return null;
   }
 }
 
-// Prediction state
-let consecutiveLosses = 0;
-let lastPrediction = null;
+// Per-game runtime: draw source, model manager and prediction state
+const runtimes = new Map();
+
+function createRuntime(game, sharedReplay) {
+  return {
+    game,
+    source: createDrawSource(drawSourceConfig, () => generateGameUrl(game), {
+      scope: game.id,
+      sharedReplay,
+      windowUrlGenerator: issue => generateWindowUrl(game, issue)
+    }),
+    manager: new ModelManager(game.id),
+    consecutiveLosses: 0,
+    lastPrediction: null,
+    lastPeriod: null, // last period the loop predicted (publish once per period)
+    snapshot: null, // latest committed prediction + recent results, served by /trade
+    fetchTimer: null, // self-scheduling fetch loop
+    backfillTimer: null,
+    auditTimer: null,
+    snapshotTimer: null,
+    challengerTimer: null
+  };
+}
 
-// Self-scheduling fetch loop
-let fetchTimer = null;
+// Single-file and flat-directory captures predate per-game subdirectories and hold 1min
+// draws, so the default game (or the only enabled one) may replay them directly
+const enabledGames = resolveGames(process.env.GAMES);
+for (const game of enabledGames) {
+  try {
+    runtimes.set(game.id, createRuntime(game, enabledGames.length === 1 || game.id === DEFAULT_GAME));
+  } catch (err) {
+    console.warn(`⚠️ ${game.label} disabled:`, err.message);
+  }
+}
 
-async function fetchAndProcess() {
+// Shape the loop's committed prediction and recent results for /trade
+function buildSnapshot(period, committed, results) {
+  return {
+    current: {
+      period,
+      prediction: committed.prediction,
+      status: committed.prediction === NO_SIGNAL ? ABSTAIN_STATUS : 'pending',
+      signal: committed.signal,
+      logicUsed: committed.logicUsed,
+      logicId: committed.logicId ?? null,
+      emoji: committed.prediction === NO_SIGNAL ? '⏸️' : '⌛',
+      ...(committed.abstain ? { abstain: committed.abstain } : {}),
+      confidence: parseFloat(committed.signal) || null,
+      // unclamped ensemble probabilities; `confidence` is the floored display value
+      pBig: committed.pBig ?? null,
+      probability: committed.pBig == null ? null : parseFloat((committed.prediction === 'BIG' ? committed.pBig : 1 - committed.pBig).toFixed(4)),
+      patterns: committed.patterns || [],
+      markets: committed.markets || null
+    },
+    // Prepare history (previous results)
+    history: results.slice(1, 16).map(result => ({
+      period: result.issueNumber,
+      prediction: result.resultType, // Actual result
+      status: 'resolved',
+      actual: result.resultType,
+      actualNumber: result.number,
+      actualColour: result.colour,
+      signal: '100%', // Historical data is 100% accurate
+      logicUsed: 'Historical'
+    })),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Resolve ?game= to a runtime, answering 400 for unknown or disabled games
+function resolveRuntime(req, res) {
+  const id = req.query.game || DEFAULT_GAME;
+  const runtime = runtimes.get(id);
+  if (!runtime) {
+    sendError(res, 400, `Unknown or disabled game: ${id}`, { code: 'UNKNOWN_GAME', details: { games: [...runtimes.keys()] } });
+    return null;
+  }
+  return runtime;
+}
+
+async function fetchAndProcess(runtime) {
+  const { game, manager } = runtime;
   let nextDelay = 3000; // 3 seconds between fetches
   
   try {
-    const results = await fetchWingoData();
+    const results = await fetchWingoData(runtime);
     
     if (!results || results.length === 0) {
-      console.log('⏭️ No data received, skipping prediction');
+      console.log(`⏭️ [${game.id}] No data received, skipping prediction`);
       nextDelay = 10000; // Wait longer if no data
       return;
     }
 
     const latest = results[0];
-    const nextPeriod = (parseInt(latest.issueNumber) + 1).toString();
+    const nextPeriod = nextIssueNumber(latest.issueNumber);
 
     // Check if we already predicted this period
     if (pool) {
       const { rows: existsRows } = await pool.query(
-        'SELECT 1 FROM predictions WHERE period = $1', 
-        [nextPeriod]
+        'SELECT 1 FROM predictions WHERE game = $1 AND period = $2', 
+        [game.id, nextPeriod]
       );
       if (existsRows.length > 0) {
-        console.log('⏭️ Prediction already exists for period:', nextPeriod);
+        console.log(`⏭️ [${game.id}] Prediction already exists for period:`, nextPeriod);
+        // after a restart, serve the already committed prediction
+        if (runtime.snapshot?.current.period !== nextPeriod) {
+          const { rows } = await pool.query(
+            'SELECT prediction, signal, logic_id, patterns, p_big FROM predictions WHERE game = $1 AND period = $2',
+            [game.id, nextPeriod]
+          );
+          runtime.snapshot = buildSnapshot(nextPeriod, {
+            prediction: rows[0].prediction,
+            signal: rows[0].signal,
+            logicUsed: getEngineName(rows[0].logic_id),
+            logicId: rows[0].logic_id,
+            patterns: rows[0].patterns,
+            pBig: rows[0].p_big,
+            markets: await loadMarketPredictions(pool, game.id, nextPeriod)
+          }, results);
+        }
         return;
       }
     }
@@ -294,23 +523,76 @@ async function fetchAndProcess() {
       createTime: r.createTime
     }));
 
-    // Get prediction from model manager
-    const finalPrediction = modelManager.predict(historyForEngine, { 
-      consecutiveLosses, 
-      lastPrediction 
-    });
+    // Get prediction from model manager, on a pinned clock with its inputs captured for /replay
+    const inputs = captureInputs(manager, historyForEngine, {
+      consecutiveLosses: runtime.consecutiveLosses,
+      lastPrediction: runtime.lastPrediction
+    }, now());
+    const finalPrediction = withClock(inputs.clock, () => manager.predict(inputs.history, inputs.options));
 
     // Store prediction
     if (pool) {
-      await storePrediction(
+      const stored = await storePrediction(
+        game.id,
         nextPeriod,
         finalPrediction.prediction,
         `${finalPrediction.confidence}%`,
         finalPrediction.chosenModel || 'ensemble',
         finalPrediction.logic || '',
         finalPrediction.patterns || [],
-        finalPrediction.contributing || []
+        finalPrediction.contributing || [],
+        finalPrediction.pBig,
+        finalPrediction.trace,
+        finalPrediction.logicId
       );
+      if (stored && stored.published) {
+        try {
+          await storePredictionInputs(pool, game.id, nextPeriod, inputs, finalPrediction);
+        } catch (err) {
+          console.error('Failed to store prediction inputs:', err.message);
+        }
+      }
+      try {
+        await storeMarketPredictions(pool, game.id, nextPeriod, finalPrediction.markets);
+      } catch (err) {
+        console.error('Failed to store market predictions:', err.message);
+      }
+      try {
+        await storeModelPredictions(pool, game.id, nextPeriod, finalPrediction.contributing);
+        // challengers shadow the same period; their calls are scored but never published
+        const shadowCalls = withClock(inputs.clock, () => manager.predictChallengers(inputs.history, inputs.options));
+        await storeModelPredictions(pool, game.id, nextPeriod, shadowCalls);
+      } catch (err) {
+        console.error('Failed to store model predictions:', err.message);
+      }
+    }
+
+    runtime.snapshot = buildSnapshot(nextPeriod, {
+      prediction: finalPrediction.prediction,
+      signal: `${finalPrediction.confidence}%`,
+      logicUsed: getEngineName(finalPrediction.logicId),
+      logicId: finalPrediction.logicId,
+      patterns: finalPrediction.patterns,
+      pBig: finalPrediction.pBig,
+      markets: finalPrediction.markets,
+      abstain: finalPrediction.abstain
+    }, results);
+
+    if (runtime.lastPeriod !== nextPeriod) {
+      runtime.lastPeriod = nextPeriod;
+      events.publish('prediction', game.id, {
+        period: nextPeriod,
+        prediction: finalPrediction.prediction,
+        confidence: finalPrediction.confidence,
+        signal: `${finalPrediction.confidence}%`,
+        pBig: finalPrediction.pBig,
+        probability: finalPrediction.probability,
+        logicUsed: getEngineName(finalPrediction.logicId),
+        logicId: finalPrediction.logicId,
+        patterns: finalPrediction.patterns || [],
+        markets: finalPrediction.markets || null,
+        ...(finalPrediction.abstain ? { abstain: finalPrediction.abstain } : {})
+      });
     }
 
     // Update previous prediction result
@@ -320,253 +602,1011 @@ async function fetchAndProcess() {
       const actualNumber = results[1].number;
 
       const { rows: predRows } = await pool.query(
-        'SELECT prediction, model_id, contributors FROM predictions WHERE period = $1 AND status = $2',
-        [prevPeriod, 'pending']
+        'SELECT prediction, model_id, contributors, status FROM predictions WHERE game = $1 AND period = $2 AND status = ANY($3) AND actual IS NULL',
+        [game.id, prevPeriod, ['pending', ABSTAIN_STATUS]]
       );
+      // each model's own call for the period, scored whether or not the ensemble abstained
+      const modelCalls = predRows.length > 0 ? await resolveModelPredictions(pool, game.id, prevPeriod, actualType) : [];
 
-      if (predRows.length > 0) {
+      if (predRows.length > 0 && predRows[0].status === ABSTAIN_STATUS) {
+        // record the draw, but an abstention is neither a win nor a loss and trains no weights
+        await pool.query(
+          `UPDATE predictions
+           SET actual = $1, actual_number = $2, updated_at = NOW()
+           WHERE game = $3 AND period = $4`,
+          [actualType, actualNumber, game.id, prevPeriod]
+        );
+        events.publish('resolution', game.id, {
+          period: prevPeriod,
+          prediction: predRows[0].prediction,
+          actual: actualType,
+          actualNumber,
+          status: ABSTAIN_STATUS
+        });
+        manager.observeOutcome(results[1], results.slice(2));
+      } else if (predRows.length > 0) {
         const isWin = predRows[0].prediction === actualType;
         const newStatus = isWin ? '✅ win' : '❌ loss';
         
         await pool.query(
           `UPDATE predictions
            SET actual = $1, actual_number = $2, status = $3, updated_at = NOW()
-           WHERE period = $4`,
-          [actualType, actualNumber, newStatus, prevPeriod]
+           WHERE game = $4 AND period = $5`,
+          [actualType, actualNumber, newStatus, game.id, prevPeriod]
         );
+        events.publish('resolution', game.id, {
+          period: prevPeriod,
+          prediction: predRows[0].prediction,
+          actual: actualType,
+          actualNumber,
+          status: newStatus
+        });
 
         // Update learning
-        if (isWin) consecutiveLosses = 0;
-        else consecutiveLosses++;
+        if (isWin) runtime.consecutiveLosses = 0;
+        else runtime.consecutiveLosses++;
 
         try {
-          const modelId = predRows[0].model_id || null;
-          if (modelId && modelId !== 'ensemble') {
-            modelManager.learn(modelId, isWin, { consecutiveLosses });
-          } else if (modelId === 'ensemble') {
-            const contrib = predRows[0].contributors || [];
-            if (Array.isArray(contrib) && contrib.length > 0) {
-              modelManager.learnMultiple(contrib, isWin, { consecutiveLosses });
-            }
+          const learningContext = {
+            consecutiveLosses: runtime.consecutiveLosses,
+            actual: results[1],
+            history: results.slice(2)
+          };
+          if (modelCalls.length > 0) {
+            manager.learnFromModelCalls(modelCalls, learningContext);
+          } else {
+            // predictions stored before the per-model log: credit the ensemble's result
+            manager.learnFromOutcome(predRows[0].model_id || null, predRows[0].contributors || [], isWin, learningContext);
           }
+          events.publish('model_update', game.id, { models: manager.dumpModelState() });
         } catch (learningErr) {
           console.warn('Learning update failed:', learningErr.message);
         }
       }
+
+      // digit / colour / parity markets resolve independently of BIG/SMALL
+      const marketResults = await resolveMarketPredictions(pool, game.id, prevPeriod, actualNumber);
+      if (marketResults.length > 0) {
+        events.publish('market_resolution', game.id, { period: prevPeriod, actualNumber, markets: marketResults });
+      }
     }
 
-    const cleanEngineName = getEngineName(finalPrediction.logic);
-    lastPrediction = finalPrediction.prediction;
+    const cleanEngineName = getEngineName(finalPrediction.logicId);
+    // loss-recovery logic needs the last real call, so abstentions leave it unchanged
+    if (finalPrediction.prediction !== NO_SIGNAL) runtime.lastPrediction = finalPrediction.prediction;
     
-    console.log(`✅ Predicted ${nextPeriod} → ${finalPrediction.prediction} (${finalPrediction.confidence}%) via ${cleanEngineName}`);
+    if (finalPrediction.prediction === NO_SIGNAL) {
+      console.log(`⏸️ [${game.id}] No signal for ${nextPeriod}: ${finalPrediction.abstain.join('; ')}`);
+    } else {
+      console.log(`✅ [${game.id}] Predicted ${nextPeriod} → ${finalPrediction.prediction} (${finalPrediction.confidence}%) via ${cleanEngineName}`);
+    }
 
   } catch (err) {
-    console.error('❌ Error in fetchAndProcess:', err.message);
+    console.error(`❌ [${game.id}] Error in fetchAndProcess:`, err.message);
     nextDelay = 15000; // Wait longer on error
   } finally {
-    if (fetchTimer) clearTimeout(fetchTimer);
-    fetchTimer = setTimeout(fetchAndProcess, nextDelay);
+    if (runtime.fetchTimer) clearTimeout(runtime.fetchTimer);
+    runtime.fetchTimer = setTimeout(() => fetchAndProcess(runtime), nextDelay);
   }
 }
 
-// ========== API ENDPOINTS ==========
-app.use(express.json());
+// Fill archive gaps now and then every BACKFILL_INTERVAL_MS (default 30 minutes)
+const BACKFILL_INTERVAL_MS = parseInt(process.env.BACKFILL_INTERVAL_MS) || 30 * 60 * 1000;
 
-app.get('/trade', async (req, res) => {
+async function scheduleBackfill(runtime) {
   try {
-    const results = await fetchWingoData();
-    
-    if (!results || results.length === 0) {
-      return res.json({ 
-        current: null, 
-        history: [], 
-        db: !!pool,
-        error: 'No data available from Win Go 1Min API'
-      });
+    const result = await backfillGaps(pool, runtime.game, runtime.source);
+    if (result.inserted > 0 || result.gaps > 0) {
+      console.log(`🧩 [${runtime.game.id}] Backfill: ${result.gaps} gaps, ${result.inserted} draws recovered in ${result.requests} requests`);
     }
+  } catch (err) {
+    console.error(`❌ [${runtime.game.id}] Backfill failed:`, err.message);
+  } finally {
+    if (runtime.backfillTimer) clearTimeout(runtime.backfillTimer);
+    runtime.backfillTimer = setTimeout(() => scheduleBackfill(runtime), BACKFILL_INTERVAL_MS);
+  }
+}
 
-    const latest = results[0];
-    const nextPeriod = (parseInt(latest.issueNumber) + 1).toString();
-    
-    // Prepare history for prediction
-    const historyForEngine = results.map(r => ({
-      resultType: r.resultType,
-      number: r.number,
-      createTime: r.createTime
-    }));
+// Record yesterday's randomness audit once per game; checked every RANDOMNESS_AUDIT_INTERVAL_MS (default 1 hour)
+const RANDOMNESS_AUDIT_INTERVAL_MS = parseInt(process.env.RANDOMNESS_AUDIT_INTERVAL_MS) || 60 * 60 * 1000;
 
-    // Get live prediction
-    const finalPrediction = modelManager.predict(historyForEngine, { 
-      consecutiveLosses, 
-      lastPrediction 
-    });
+async function scheduleRandomnessAudit(runtime) {
+  try {
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    const { rows } = await pool.query(
+      'SELECT 1 FROM randomness_audits WHERE game = $1 AND day = $2',
+      [runtime.game.id, yesterday]
+    );
+    if (rows.length === 0) {
+      const audit = await recordDailyAudit(pool, runtime.game, yesterday.replace(/-/g, ''));
+      if (audit) {
+        console.log(`🎲 [${runtime.game.id}] Randomness audit ${yesterday}: ${audit.draws} draws, flagged: ${audit.flagged.join(', ') || 'none'}`);
+      }
+    }
+  } catch (err) {
+    console.error(`❌ [${runtime.game.id}] Randomness audit failed:`, err.message);
+  } finally {
+    if (runtime.auditTimer) clearTimeout(runtime.auditTimer);
+    runtime.auditTimer = setTimeout(() => scheduleRandomnessAudit(runtime), RANDOMNESS_AUDIT_INTERVAL_MS);
+  }
+}
 
-    const cleanEngineName = getEngineName(finalPrediction.logic);
-    
-    const current = {
-      period: nextPeriod,
-      prediction: finalPrediction.prediction,
-      status: 'pending',
-      signal: `${finalPrediction.confidence}%`,
-      logicUsed: cleanEngineName,
-      emoji: '⌛',
-      confidence: finalPrediction.confidence,
-      patterns: finalPrediction.patterns || []
-    };
+// Periodic full model-state snapshot per game, every MODEL_SNAPSHOT_INTERVAL_MS (default 1 hour);
+// the same tick prunes the game's expired prediction_inputs
+const MODEL_SNAPSHOT_INTERVAL_MS = parseInt(process.env.MODEL_SNAPSHOT_INTERVAL_MS) || 60 * 60 * 1000;
 
-    // Prepare history (previous results)
-    const history = results.slice(1, 16).map((result, index) => ({
-      period: result.issueNumber,
-      prediction: result.resultType, // Actual result
-      status: 'resolved',
-      actual: result.resultType,
-      actualNumber: result.number,
-      signal: '100%', // Historical data is 100% accurate
-      logicUsed: 'Historical'
-    }));
+async function scheduleModelSnapshot(runtime) {
+  try {
+    const snap = await takeSnapshot(pool, runtime.manager, 'scheduled');
+    console.log(`📸 [${runtime.game.id}] Model snapshot v${snap.version}`);
+  } catch (err) {
+    console.error(`❌ [${runtime.game.id}] Model snapshot failed:`, err.message);
+  }
+  try {
+    const pruned = await prunePredictionInputs(pool, runtime.game.id);
+    if (pruned > 0) console.log(`🧹 [${runtime.game.id}] Pruned ${pruned} expired prediction inputs`);
+  } catch (err) {
+    console.error(`❌ [${runtime.game.id}] Prediction inputs prune failed:`, err.message);
+  } finally {
+    if (runtime.snapshotTimer) clearTimeout(runtime.snapshotTimer);
+    runtime.snapshotTimer = setTimeout(() => scheduleModelSnapshot(runtime), MODEL_SNAPSHOT_INTERVAL_MS);
+  }
+}
 
-    // Store prediction if DB available
-    if (pool) {
-      await storePrediction(
-        nextPeriod,
-        finalPrediction.prediction,
-        `${finalPrediction.confidence}%`,
-        finalPrediction.chosenModel || 'ensemble',
-        cleanEngineName,
-        finalPrediction.patterns || [],
-        finalPrediction.contributing || []
-      );
+// Every challenger's head-to-head with the live ensemble and its promotion decision
+async function challengerReport(runtime, filters = {}) {
+  const { manager } = runtime;
+  const report = [];
+  for (const id of manager.challengers.keys()) {
+    const config = manager.modelConfigs.get(id);
+    const comparison = await compareWithChampion(pool, runtime.game, id, filters);
+    report.push({ ...config, name: manager.getModel(id).name, comparison, decision: promotionDecision(manager.promotionPolicy, comparison) });
+  }
+  return report;
+}
+
+async function promoteChallenger(runtime, id, reason) {
+  await recordSnapshot(runtime, `before promote ${id}`);
+  const result = runtime.manager.promoteModel(id);
+  await runtime.manager.persistModelStats(runtime.manager.getModel(id));
+  // the promoted membership is what a restart restores, so models.config.json cannot demote it
+  await recordSnapshot(runtime, `after promote ${id}`);
+  console.log(`🏆 [${runtime.game.id}] Challenger ${id} promoted (${reason})${result.replaced ? `, replacing ${result.replaced}` : ''}`);
+  events.publish('model_update', runtime.game.id, { models: runtime.manager.dumpModelState() });
+  return result;
+}
+
+// Review challengers every CHALLENGER_REVIEW_INTERVAL_MS (default 1 hour); eligible ones are
+// promoted in 'auto' mode and only logged in 'manual' mode
+const CHALLENGER_REVIEW_INTERVAL_MS = parseInt(process.env.CHALLENGER_REVIEW_INTERVAL_MS) || 60 * 60 * 1000;
+
+async function scheduleChallengerReview(runtime) {
+  try {
+    for (const entry of await challengerReport(runtime)) {
+      if (!entry.decision.eligible) continue;
+      if (entry.decision.mode === 'auto') {
+        await promoteChallenger(runtime, entry.id, 'auto');
+      } else {
+        console.log(`🏁 [${runtime.game.id}] Challenger ${entry.id} meets the promotion rules; awaiting approval`);
+      }
     }
+  } catch (err) {
+    console.error(`❌ [${runtime.game.id}] Challenger review failed:`, err.message);
+  } finally {
+    if (runtime.challengerTimer) clearTimeout(runtime.challengerTimer);
+    runtime.challengerTimer = setTimeout(() => scheduleChallengerReview(runtime), CHALLENGER_REVIEW_INTERVAL_MS);
+  }
+}
 
-    res.json({
-      current,
-      history,
-      db: !!pool,
-      source: 'Win Go 1Min API'
-    });
+// Snapshot around a membership change: before it so it can be rolled back, after it so a
+// restart comes back to it (restoreManagerState). The change stands even if this fails.
+async function recordSnapshot(runtime, reason) {
+  if (!pool) return null;
+  try {
+    return (await takeSnapshot(pool, runtime.manager, reason)).version;
+  } catch (err) {
+    console.error(`❌ [${runtime.game.id}] Snapshot before "${reason}" failed:`, err.message);
+    return null;
+  }
+}
 
+// Ensemble membership (enabled and shadow flags, admin adds and removals, rollbacks,
+// promotions) and manager tunables survive restarts through the latest snapshot. The abstain
+// policy stays with models.config.json; learned state is restored by ModelManager.init.
+async function restoreManagerState(runtime) {
+  try {
+    const [latest] = await listSnapshots(pool, runtime.game.id, 1);
+    if (!latest) return;
+    const { snapshot } = await getSnapshot(pool, runtime.game.id, latest.version);
+    await runtime.manager.restoreMembership(snapshot);
+    const { abstainPolicy, ...settings } = snapshot.settings || {};
+    runtime.manager.applySettings(settings);
+    console.log(`📸 [${runtime.game.id}] Ensemble restored from snapshot v${latest.version}`);
   } catch (err) {
-    console.error('Error in /trade endpoint:', err);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: err.message 
+    console.warn(`⚠️ [${runtime.game.id}] Could not restore the ensemble from its latest snapshot:`, err.message);
+  }
+}
+
+// ========== API ENDPOINTS ==========
+app.use(express.json());
+
+// Every route below is registered through `api` so it is validated against api_spec.js
+const api = createApi(app, ROUTE_SPECS);
+
+// Read-only: serves the prediction the background loop last committed
+api.get('/trade', (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+  const { game, snapshot } = runtime;
+
+  if (!snapshot) {
+    return res.json({ 
+      current: null, 
+      history: [], 
+      game: game.id,
+      db: !!pool,
+      message: `No prediction committed yet for ${game.label}`
     });
   }
+
+  res.json({
+    current: snapshot.current,
+    history: snapshot.history,
+    game: game.id,
+    db: !!pool,
+    source: `${game.label} API`,
+    updatedAt: snapshot.updatedAt
+  });
 });
 
-app.get('/stats', async (req, res) => {
+api.get('/stats', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  const { groupBy } = req.query;
+  if (groupBy && !GROUP_BY_SQL[groupBy]) {
+    return sendError(res, 400, `groupBy must be one of: ${Object.keys(GROUP_BY_SQL).join(', ')}`);
+  }
+
   try {
     if (!pool) {
       return res.json({ 
+        game: runtime.game.id,
         totalPredictions: 0, 
         wins: 0, 
         losses: 0, 
         accuracyPercent: 0.0, 
-        consecutiveLosses, 
+        coveragePercent: 0,
+        consecutiveLosses: runtime.consecutiveLosses, 
         maxWinStreak: 0, 
         maxLossStreak: 0, 
+        markets: {},
         db: false 
       });
     }
 
-    const { rows } = await pool.query(`
-      SELECT
-        COUNT(*) FILTER (WHERE status LIKE '%win%') AS wins,
-        COUNT(*) FILTER (WHERE status LIKE '%loss%') AS losses,
-        COUNT(*) AS total
-      FROM predictions
-      WHERE status IN ('✅ win', '❌ loss')
-    `);
-
-    const { wins, losses, total } = rows[0];
+    // Totals and streaks from the ordered predictions rows (optionally within from/to)
+    const summary = await resolvedSummary(pool, runtime.game, req.query);
+    const coverage = await coverageSummary(pool, runtime.game, req.query);
+    const { wins, losses, total } = summary;
     const accuracy = total > 0 ? ((wins / total) * 100).toFixed(2) : '0.00';
+
+    // Does the ensemble beat trivial strategies over the same periods?
+    const resolved = await loadResolvedWithPrevious(pool, runtime.game, req.query);
+    const seed = parseInt(req.query.seed) || 42;
+    const byModel = await groupedSeries(pool, runtime.game, 'model', req.query);
+    const markets = {
+      bigsmall: { predictions: total, wins, losses, accuracyPercent: parseFloat(accuracy), chancePercent: 50 },
+      ...(await marketSummary(pool, runtime.game, req.query))
+    };
     
     res.json({
-      totalPredictions: parseInt(total),
-      wins: parseInt(wins),
-      losses: parseInt(losses),
-      accuracyPercent: parseFloat(accuracy),
-      consecutiveLosses,
-      maxWinStreak: 0,
-      maxLossStreak: 0,
+      game: runtime.game.id,
+      totalPredictions: total,
+      wins,
+      losses,
+      accuracyPercent: parseFloat(accuracy), // on covered periods only
+      ...coverage,
+      ...significance(wins, total),
+      consecutiveLosses: runtime.consecutiveLosses,
+      maxWinStreak: summary.maxWinStreak,
+      maxLossStreak: summary.maxLossStreak,
+      currentStreak: summary.currentStreak,
+      byModel,
+      markets,
+      ...(groupBy ? { groupBy, series: await groupedSeries(pool, runtime.game, groupBy, req.query) } : {}),
+      baselines: compareBaselines(resolved, seed),
       db: true
     });
   } catch (err) {
     console.error('Error in /stats endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-app.get('/history', async (req, res) => {
+api.get('/stats/calibration', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
   try {
-    if (!pool) return res.json([]);
-    
-    const { rows } = await pool.query(`
-      SELECT period, prediction, actual, actual_number, status, signal, logic_used, patterns, created_at
-      FROM predictions
-      ORDER BY created_at DESC
-      LIMIT 50
-    `);
-    
-    res.json(rows);
+    if (!pool) return sendError(res, 503, 'Calibration requires the database');
+    res.json(await calibrationReport(pool, runtime.game, req.query));
+  } catch (err) {
+    console.error('Error in /stats/calibration endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Filtered, sorted, cursor-paginated predictions (see predictions_api.js for the query options)
+api.get('/api/v1/predictions', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  let parsed;
+  try {
+    parsed = parsePredictionQuery(req.query);
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+  try {
+    if (!pool) return sendError(res, 503, 'Predictions require the database');
+    res.json({ game: runtime.game.id, ...(await queryPredictions(pool, runtime.game, parsed)) });
+  } catch (err) {
+    console.error('Error in /api/v1/predictions endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.get('/api/v1/predictions/:period', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Prediction details require the database');
+    const detail = await loadPredictionDetail(pool, runtime.game, req.params.period);
+    if (!detail) return sendError(res, 404, `No prediction for period ${req.params.period}`);
+    const query = `?game=${runtime.game.id}`;
+    res.json({
+      game: runtime.game.id,
+      ...detail,
+      links: {
+        revisions: `/api/v1/predictions/${req.params.period}/revisions${query}`,
+        explain: `/explain/${req.params.period}${query}`,
+        replay: `/replay/${req.params.period}${query}`
+      }
+    });
+  } catch (err) {
+    console.error('Error in /api/v1/predictions/:period endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+async function sendRevisions(req, res) {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Prediction revisions require the database');
+    res.json(await loadRevisions(pool, runtime.game, req.params.period));
+  } catch (err) {
+    console.error(`Error in ${req.route.path} endpoint:`, err);
+    sendError(res, 500, 'Internal server error');
+  }
+}
+
+api.get('/api/v1/predictions/:period/revisions', sendRevisions);
+
+// Unversioned aliases kept for existing clients: /history is the v1 list (same query
+// options, latest 50 by default) returned as a bare array
+api.get('/history', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  let parsed;
+  try {
+    parsed = parsePredictionQuery(req.query);
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+  try {
+    if (!pool) return sendError(res, 503, 'Prediction history requires the database');
+    const { data } = await queryPredictions(pool, runtime.game, parsed);
+    res.json(data);
   } catch (err) {
     console.error('Error in /history endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-app.get('/models/stats', async (req, res) => {
+api.get('/history/:period/revisions', sendRevisions);
+
+api.get('/models/stats', async (req, res) => {
+  const gameRuntime = resolveRuntime(req, res);
+  if (!gameRuntime) return;
+
   try {
-    const runtime = modelManager.dumpModelState ? modelManager.dumpModelState() : [];
+    const { manager } = gameRuntime;
+    const runtime = manager.dumpModelState ? manager.dumpModelState() : [];
     let persisted = [];
     
     if (pool) {
       const { rows } = await pool.query(
-        'SELECT id, name, weight, wins, losses, ema_accuracy, updated_at FROM models'
+        'SELECT game, id, name, weight, wins, losses, ema_accuracy, updated_at FROM models WHERE game = $1',
+        [gameRuntime.game.id]
       );
       persisted = rows;
     }
     
-    res.json({ runtime, persisted });
+    res.json({ game: gameRuntime.game.id, runtime, persisted });
   } catch (err) {
     console.error('Error in /models/stats endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// A model's own track record from the per-model prediction log
+api.get('/models/:id/performance', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Model performance requires the database');
+    const report = await modelPerformance(pool, runtime.game, req.params.id, req.query);
+    if (report.predictions === 0 && report.pending === 0 && !runtime.manager.getModel(req.params.id)) {
+      return sendError(res, 404, `Unknown model: ${req.params.id}`);
+    }
+    res.json(report);
+  } catch (err) {
+    console.error('Error in /models/:id/performance endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Shadow challengers against the live ensemble over the same periods (?from=&to=&since=&until=)
+api.get('/challengers', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Challenger reports require the database');
+    res.json({
+      game: runtime.game.id,
+      policy: runtime.manager.promotionPolicy,
+      challengers: await challengerReport(runtime, req.query)
+    });
+  } catch (err) {
+    console.error('Error in /challengers endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.get('/challengers/:id', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Challenger reports require the database');
+    const entry = (await challengerReport(runtime, req.query)).find(c => c.id === req.params.id);
+    if (!entry) return sendError(res, 404, `Unknown challenger: ${req.params.id}`);
+    res.json({ game: runtime.game.id, policy: runtime.manager.promotionPolicy, ...entry });
+  } catch (err) {
+    console.error('Error in /challengers/:id endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Logic-id registry with per-engine usage, hit rate and calibration (?from=&to=&since=&until=&bucketSize=)
+api.get('/engines', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Engine reports require the database');
+    res.json(await engineReport(pool, runtime.game, req.query));
+  } catch (err) {
+    console.error('Error in /engines endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Why the engine made a published call: the stored decision trace, rendered as text
+// (?format=text for plain text)
+api.get('/explain/:period', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Explain requires the database');
+    const { rows } = await pool.query(
+      `SELECT period, prediction, signal, p_big, logic_used, logic_id, model_id, actual, actual_number, status, trace, created_at
+       FROM predictions WHERE game = $1 AND period = $2`,
+      [runtime.game.id, req.params.period]
+    );
+    if (!rows[0]) return sendError(res, 404, `No prediction for period ${req.params.period}`);
+    if (!rows[0].trace) {
+      return sendError(res, 404, `Period ${req.params.period} was predicted before decision traces were stored`);
+    }
+    const explanation = describeTrace(rows[0]);
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(`${runtime.game.label} ${rows[0].period}\n${explanation.join('\n')}\n`);
+    }
+    const { trace, ...prediction } = rows[0];
+    res.json({ game: runtime.game.id, ...prediction, explanation, trace });
+  } catch (err) {
+    console.error('Error in /explain/:period endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Re-run the engine on a published prediction's stored inputs and check it reproduces
+api.get('/replay/:period', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Replay requires the database');
+    const inputs = await loadPredictionInputs(pool, runtime.game.id, req.params.period);
+    if (!inputs) return sendError(res, 404, `No stored inputs for period ${req.params.period}`);
+    res.json({
+      game: runtime.game.id,
+      period: req.params.period,
+      clock: new Date(inputs.clock).toISOString(),
+      historyLength: inputs.history.length,
+      ...replayPrediction(runtime.game.id, inputs)
+    });
+  } catch (err) {
+    console.error('Error in /replay/:period endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Transition table of a count-based model (e.g. Markov)
+api.get('/models/:id/transitions', (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  const model = runtime.manager.getModel(req.params.id);
+  if (!model) return sendError(res, 404, `Unknown model: ${req.params.id}`);
+  if (typeof model.transitionTable !== 'function') {
+    return sendError(res, 400, `Model ${req.params.id} has no transition table`);
+  }
+  res.json({ game: runtime.game.id, id: model.id, ...model.transitionTable() });
+});
+
+// Learned coefficients of a regression model
+api.get('/models/:id/coefficients', (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  const model = runtime.manager.getModel(req.params.id);
+  if (!model) return sendError(res, 404, `Unknown model: ${req.params.id}`);
+  if (typeof model.coefficientTable !== 'function') {
+    return sendError(res, 400, `Model ${req.params.id} has no coefficients`);
+  }
+  res.json({ game: runtime.game.id, id: model.id, ...model.coefficientTable() });
+});
+
+api.get('/draws', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'The draws archive requires the database');
+    const rows = await queryDraws(pool, runtime.game, req.query);
+    res.json(rows);
+  } catch (err) {
+    console.error('Error in /draws endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.get('/draws/gaps', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'The draws archive requires the database');
+    const gaps = await findGaps(pool, runtime.game, req.query);
+    res.json({
+      game: runtime.game.id,
+      totalMissing: gaps.reduce((s, g) => s + g.missing, 0),
+      gaps
+    });
+  } catch (err) {
+    console.error('Error in /draws/gaps endpoint:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-app.get('/wingo-url', (req, res) => {
-  res.json({ url: generateWingoUrl() });
+// Spends upstream requests, so it is admin-only like /admin/*
+api.post('/draws/backfill', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'The draws archive requires the database');
+    const result = await backfillGaps(pool, runtime.game, runtime.source, req.query);
+    res.json({ game: runtime.game.id, ...result });
+  } catch (err) {
+    console.error('Error in /draws/backfill endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ========== ADMIN ==========
+// Admin routes are off unless ADMIN_TOKEN is set; callers send it as a Bearer token
+// or in the X-Admin-Token header.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendError(res, 403, 'Admin routes are disabled (set ADMIN_TOKEN)', { code: 'ADMIN_DISABLED' });
+  }
+  const auth = req.get('Authorization') || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : req.get('X-Admin-Token');
+  if (token !== ADMIN_TOKEN) {
+    return sendError(res, 401, 'Invalid admin token');
+  }
+  next();
+}
+
+api.get('/admin/models', requireAdmin, (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+  res.json({ game: runtime.game.id, types: listModelTypes(), models: runtime.manager.listModels() });
+});
+
+// Body: { id, type, enabled?, params? } - not written back to the config file
+api.post('/admin/models', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  let model;
+  try {
+    await recordSnapshot(runtime, `before add ${req.body && req.body.id}`);
+    model = await runtime.manager.addModel(req.body || {});
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+  try {
+    await recordSnapshot(runtime, `after add ${model.id}`);
+    console.log(`🧩 [${runtime.game.id}] Model ${model.id} (${model.type}) added`);
+    events.publish('model_update', runtime.game.id, { models: runtime.manager.dumpModelState() });
+    res.status(201).json({ game: runtime.game.id, models: runtime.manager.listModels() });
+  } catch (err) {
+    console.error('Error in /admin/models endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
 });
 
-app.get('/health', (req, res) => {
+// Body: { enabled: true|false }
+api.patch('/admin/models/:id', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  const enabled = req.body && req.body.enabled;
+  if (typeof enabled !== 'boolean') {
+    return sendError(res, 400, 'Body must include enabled: true|false');
+  }
+  if (runtime.manager.getModel(req.params.id)) {
+    await recordSnapshot(runtime, `before ${enabled ? 'enable' : 'disable'} ${req.params.id}`);
+  }
+  if (!runtime.manager.setModelEnabled(req.params.id, enabled)) {
+    return sendError(res, 404, `Unknown model: ${req.params.id}`);
+  }
+  await recordSnapshot(runtime, `after ${enabled ? 'enable' : 'disable'} ${req.params.id}`);
+  console.log(`🧩 [${runtime.game.id}] Model ${req.params.id} ${enabled ? 'enabled' : 'disabled'}`);
+  events.publish('model_update', runtime.game.id, { models: runtime.manager.dumpModelState() });
+  res.json({ game: runtime.game.id, models: runtime.manager.listModels() });
+});
+
+api.delete('/admin/models/:id', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  if (runtime.manager.getModel(req.params.id)) {
+    await recordSnapshot(runtime, `before remove ${req.params.id}`);
+  }
+  if (!runtime.manager.removeModel(req.params.id)) {
+    return sendError(res, 404, `Unknown model: ${req.params.id}`);
+  }
+  await recordSnapshot(runtime, `after remove ${req.params.id}`);
+  console.log(`🧩 [${runtime.game.id}] Model ${req.params.id} removed`);
+  events.publish('model_update', runtime.game.id, { models: runtime.manager.dumpModelState() });
+  res.json({ game: runtime.game.id, models: runtime.manager.listModels() });
+});
+
+// Approve a challenger: promotes it when it meets the promotion rules, or regardless with { "force": true }
+api.post('/admin/challengers/:id/promote', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!runtime.manager.challengers.has(req.params.id)) {
+      return sendError(res, 404, `Unknown challenger: ${req.params.id}`);
+    }
+    const force = !!(req.body && req.body.force === true);
+    if (!force) {
+      if (!pool) return sendError(res, 503, 'Challenger reports require the database');
+      const comparison = await compareWithChampion(pool, runtime.game, req.params.id);
+      const decision = promotionDecision(runtime.manager.promotionPolicy, comparison);
+      if (!decision.eligible) {
+        return sendError(res, 409, `Challenger ${req.params.id} does not meet the promotion rules`, {
+          code: 'PROMOTION_RULES_UNMET',
+          details: { decision, comparison }
+        });
+      }
+    }
+    const result = await promoteChallenger(runtime, req.params.id, force ? 'forced by admin' : 'approved');
+    res.json({ game: runtime.game.id, promoted: result.id, replaced: result.replaced, models: runtime.manager.listModels() });
+  } catch (err) {
+    console.error('Error in /admin/challengers/:id/promote endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.get('/admin/snapshots', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Snapshots require the database');
+    res.json({ game: runtime.game.id, snapshots: await listSnapshots(pool, runtime.game.id, req.query.limit) });
+  } catch (err) {
+    console.error('Error in /admin/snapshots endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.post('/admin/snapshots', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Snapshots require the database');
+    const snap = await takeSnapshot(pool, runtime.manager, (req.body && req.body.reason) || 'manual');
+    res.status(201).json({ game: runtime.game.id, ...snap });
+  } catch (err) {
+    console.error('Error in /admin/snapshots endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ?from=<version>&to=<version|current> (to defaults to the live state)
+api.get('/admin/snapshots/diff', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Snapshots require the database');
+    const load = async v => {
+      if (v === undefined || v === 'current') return { version: 'current', snapshot: runtime.manager.serialize() };
+      return getSnapshot(pool, runtime.game.id, v);
+    };
+    if (req.query.from === undefined) return sendError(res, 400, 'from is required');
+    const [from, to] = await Promise.all([load(req.query.from), load(req.query.to)]);
+    if (!from || !to) return sendError(res, 404, 'Snapshot not found');
+    res.json({ game: runtime.game.id, from: from.version, to: to.version, ...diffSnapshots(from.snapshot, to.snapshot) });
+  } catch (err) {
+    console.error('Error in /admin/snapshots/diff endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.get('/admin/snapshots/:version', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Snapshots require the database');
+    const snap = await getSnapshot(pool, runtime.game.id, req.params.version);
+    if (!snap) return sendError(res, 404, `Snapshot not found: ${req.params.version}`);
+    res.json({ game: runtime.game.id, ...snap });
+  } catch (err) {
+    console.error('Error in /admin/snapshots/:version endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Restore a version; the current state is snapshotted first so the rollback can be undone
+api.post('/admin/snapshots/:version/rollback', requireAdmin, async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Snapshots require the database');
+    const snap = await getSnapshot(pool, runtime.game.id, req.params.version);
+    if (!snap) return sendError(res, 404, `Snapshot not found: ${req.params.version}`);
+
+    const saved = await takeSnapshot(pool, runtime.manager, `before rollback to v${snap.version}`);
+    try {
+      runtime.manager.restoreSnapshot(snap.snapshot);
+    } catch (err) {
+      return sendError(res, 400, `Snapshot v${snap.version} cannot be restored: ${err.message}`);
+    }
+    await recordSnapshot(runtime, `after rollback to v${snap.version}`);
+    console.log(`⏪ [${runtime.game.id}] Rolled back models to snapshot v${snap.version} (previous state saved as v${saved.version})`);
+    events.publish('model_update', runtime.game.id, { models: runtime.manager.dumpModelState() });
+    res.json({ game: runtime.game.id, restored: snap.version, savedAs: saved.version, models: runtime.manager.listModels() });
+  } catch (err) {
+    console.error('Error in /admin/snapshots/:version/rollback endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Walk-forward backtest over the draws archive (date range + model configuration)
+const MAX_BACKTEST_DRAWS = 20000;
+
+api.get('/backtest', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Backtesting requires the draws archive (no database)');
+
+    // read one past the cap so an oversized range is refused without loading all of it
+    const draws = await loadDrawSequence(pool, runtime.game, req.query, { limit: MAX_BACKTEST_DRAWS + 1 });
+    if (draws.length > MAX_BACKTEST_DRAWS) {
+      return sendError(res, 400, `Range holds more than ${MAX_BACKTEST_DRAWS} draws; narrow it`, { code: 'RANGE_TOO_LARGE' });
+    }
+
+    // off the event loop: a full-size range takes seconds of CPU
+    const report = await runBacktestInWorker(draws, {
+      ...req.query,
+      game: runtime.game.id,
+      includeTrades: req.query.trades === 'true'
+    });
+    res.json(report);
+  } catch (err) {
+    if (err.message.startsWith('Unknown model')) {
+      return sendError(res, 400, err.message);
+    }
+    console.error('Error in /backtest endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.get('/randomness', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Randomness audit requires the draws archive (no database)');
+    const report = await auditRange(pool, runtime.game, req.query);
+    if (!report) {
+      return sendError(res, 400, `Range holds more than ${MAX_AUDIT_DRAWS} draws; narrow it`, { code: 'RANGE_TOO_LARGE' });
+    }
+    res.json(report);
+  } catch (err) {
+    console.error('Error in /randomness endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+api.get('/randomness/history', async (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+
+  try {
+    if (!pool) return sendError(res, 503, 'Randomness audits require the database');
+    res.json(await listAudits(pool, runtime.game, req.query.limit));
+  } catch (err) {
+    console.error('Error in /randomness/history endpoint:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Streaming exports of every stored column: /export/predictions, /export/draws, /export/models, /export/model-calls
+// (?format=csv|ndjson&columns=&from=&to=&since=&until=)
+for (const dataset of Object.keys(EXPORT_DATASETS)) {
+  api.get(`/export/${dataset}`, async (req, res) => {
+    const runtime = resolveRuntime(req, res);
+    if (!runtime) return;
+
+    let columns;
+    try {
+      columns = exportColumns(dataset, req.query.columns);
+    } catch (err) {
+      return sendError(res, 400, err.message);
+    }
+    if (!pool) return sendError(res, 503, 'Exports require the database');
+
+    const format = req.query.format || 'csv';
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.attachment(`${runtime.game.id}-${dataset}.${extension}`);
+    res.type(contentType);
+    try {
+      const rows = await writeExport(pool, runtime.game, dataset, { format, columns, query: req.query }, res);
+      console.log(`📤 [${runtime.game.id}] Exported ${rows} ${dataset} rows as ${format}`);
+      res.end();
+    } catch (err) {
+      console.error(`Error in /export/${dataset} endpoint:`, err);
+      // once rows have gone out the status is sent; cut the response so it reads as incomplete
+      if (res.headersSent) return res.destroy(err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+}
+
+// Server-Sent Events; the WebSocket twin lives at /stream/ws (attached in startServer)
+api.get('/stream', sseHandler(events));
+
+api.get('/wingo-url', (req, res) => {
+  const runtime = resolveRuntime(req, res);
+  if (!runtime) return;
+  res.json({ game: runtime.game.id, url: generateGameUrl(runtime.game) });
+});
+
+api.get('/games', (req, res) => {
+  res.json(listGames().map(g => ({ ...g, enabled: runtimes.has(g.id) })));
+});
+
+api.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     db: !!pool,
+    source: drawSourceConfig.kind || 'http',
+    games: [...runtimes.keys()],
     timestamp: new Date().toISOString()
   });
 });
 
-app.get('/', (req, res) => {
+// Generated from the route specs in api_spec.js
+api.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument(api, {
+    title: 'FLONZA AI Prediction Engine',
+    version: '2.0.0',
+    description: 'Errors use { "error": { "code", "message", "details"? } }; invalid input answers 400 VALIDATION_ERROR.'
+  }));
+});
+
+api.get('/', (req, res) => {
   res.json({
     message: 'FLONZA AI Prediction Engine',
     version: '2.0.0',
     features: [
-      'Win Go 1Min Lottery Predictions',
+      'Win Go 30S / 1Min / 3Min / 5Min Lottery Predictions',
       'Self-learning AI Models',
       'Real-time Data Processing',
       'PostgreSQL Persistence'
     ],
     endpoints: [
-      '/trade - Get current prediction',
-      '/stats - Get prediction statistics',
-      '/history - Get prediction history',
-      '/models/stats - Get model performance',
-      '/wingo-url - Get current Win Go 1Min API URL',
+      '/trade?game= - Get the current committed prediction with digit, colour and odd/even forecasts (read-only)',
+      '/stats?game=&from=&to=&groupBy=hour|day|model|logic&seed= - Get prediction statistics, streaks, breakdowns, significance, baseline comparison and per-market accuracy',
+      '/stats/calibration?game=&from=&to=&bucketSize= - Confidence calibration, Brier score and log loss',
+      '/api/v1/predictions?game= - Predictions filtered by from/to/since/until, status, prediction, model_id, logic, engine, minConfidence/maxConfidence; sort, order, limit, cursor',
+      '/api/v1/predictions/:period?game= - One prediction with its revisions, per-model calls and markets (/revisions for revisions only)',
+      '/history?game= - Alias of /api/v1/predictions returning a bare array (latest 50)',
+      '/history/:period/revisions?game= - Alias of /api/v1/predictions/:period/revisions',
+      '/models/stats?game= - Get model performance',
+      '/models/:id/performance?game=&from=&to= - Own-call accuracy, streaks and Brier score of one model',
+      '/models/:id/transitions?game= - Transition table of a Markov model',
+      '/models/:id/coefficients?game= - Learned coefficients of the logistic model',
+      '/draws?game=&from=&to=&since=&until= - Query archived draws',
+      '/draws/gaps?game= - List missing issue numbers',
+      '/draws/backfill?game=&maxRequests= - Fill archive gaps from the draw source now (POST, ADMIN_TOKEN)',
+      '/backtest?game=&since=&until=&model= - Walk-forward backtest over archived draws',
+      '/randomness?game=&from=&to= - Randomness test battery over archived draws',
+      '/randomness/history?game= - Recorded daily randomness audits',
+      '/export/predictions|draws|models|model-calls?game=&format=csv|ndjson&from=&to=&since=&until=&columns= - Stream every stored row in a range',
+      '/wingo-url?game= - Get current Win Go API URL',
+      '/games - List supported Win Go variants',
+      '/stream?game= - Live events over Server-Sent Events (WebSocket: /stream/ws)',
+      '/admin/models?game= - List, add (POST), enable/disable (PATCH /:id) or remove (DELETE /:id) ensemble models (ADMIN_TOKEN)',
+      '/engines?game= - Logic-id registry with per-engine usage, hit rates and calibration',
+      '/explain/:period?game= - Decision trace of a published prediction (?format=text)',
+      '/replay/:period?game= - Re-run a published prediction on its stored inputs and confirm the same output',
+      '/challengers?game= - Shadow challengers vs the live ensemble with promotion decisions (/:id for one)',
+      '/admin/challengers/:id/promote?game= - Promote a challenger that meets the promotion rules (POST, ADMIN_TOKEN)',
+      '/admin/snapshots?game= - List or take (POST) model snapshots; /:version, /diff?from=&to=, POST /:version/rollback (ADMIN_TOKEN)',
+      '/openapi.json - OpenAPI 3.0 description of every endpoint',
       '/health - Health check'
     ]
   });
 });
 
+installErrorHandlers(app);
+
 // ========== START SERVER ==========
 async function startServer() {
   try {
@@ -575,19 +1615,32 @@ async function startServer() {
     
     // Ensure table structure is correct
     await ensureTableStructure();
+    if (pool) {
+      await ensureDrawsTable(pool);
+      await ensureRandomnessTable(pool);
+      await ensureMarketTable(pool);
+      await ensureModelPredictionsTable(pool);
+      await ensureSnapshotTable(pool);
+      await ensurePredictionInputsTable(pool);
+    }
     
-    // Initialize model manager with database pool
+    // Initialize each game's model manager with database pool
     if (pool) {
-      await modelManager.init(pool);
-      console.log('✅ Model manager initialized with database');
+      for (const runtime of runtimes.values()) {
+        await runtime.manager.init(pool);
+        await restoreManagerState(runtime);
+      }
+      console.log('✅ Model managers initialized with database');
     } else {
       console.log('⚠️ Model manager running without database persistence');
     }
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`✅ FLONZA AI Backend running on port ${PORT}`);
-      console.log(`🎯 Using Win Go 1Min Lottery API`);
+      for (const runtime of runtimes.values()) {
+        console.log(`🎯 ${runtime.game.label}: ${runtime.source.describe()}`);
+      }
       if (pool) {
         console.log(`💾 Database: Connected`);
       } else {
@@ -595,9 +1648,23 @@ async function startServer() {
       }
     });
     
-    // Start the prediction loop
-    console.log('🔄 Starting prediction loop...');
-    fetchAndProcess();
+    attachWebSocket(server, events);
+
+    // Start one prediction loop per game
+    console.log('🔄 Starting prediction loops...');
+    for (const runtime of runtimes.values()) {
+      fetchAndProcess(runtime);
+    }
+
+    // Periodic archive backfill and daily randomness audit per game
+    if (pool) {
+      for (const runtime of runtimes.values()) {
+        scheduleBackfill(runtime);
+        scheduleRandomnessAudit(runtime);
+        scheduleModelSnapshot(runtime);
+        scheduleChallengerReview(runtime);
+      }
+    }
     
   } catch (err) {
     console.error('❌ Failed to start server:', err);
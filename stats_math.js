@@ -0,0 +1,106 @@
+// stats_math.js
+// Small statistics toolkit: intervals, exact binomial test and distribution tails.
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+  const g = 7;
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + g + 0.5;
+  for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function logBinomialPmf(k, n, p) {
+  return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1) + k * Math.log(p) + (n - k) * Math.log(1 - p);
+}
+
+// Wilson score interval for a proportion (default 95%)
+function wilsonInterval(successes, n, z = 1.959964) {
+  if (!n) return { lower: 0, upper: 1 };
+  const phat = successes / n;
+  const denom = 1 + (z * z) / n;
+  const centre = (phat + (z * z) / (2 * n)) / denom;
+  const margin = (z * Math.sqrt((phat * (1 - phat)) / n + (z * z) / (4 * n * n))) / denom;
+  return { lower: Math.max(0, centre - margin), upper: Math.min(1, centre + margin) };
+}
+
+// Exact two-sided binomial test: sums every outcome no more likely than the observed one
+function binomialTest(successes, n, p = 0.5) {
+  if (!n) return 1;
+  const observed = logBinomialPmf(successes, n, p);
+  let total = 0;
+  for (let k = 0; k <= n; k++) {
+    const lp = logBinomialPmf(k, n, p);
+    if (lp <= observed + 1e-7) total += Math.exp(lp);
+  }
+  return Math.min(1, total);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 via erf)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+// Two-sided p-value of a z statistic
+function twoSidedNormalP(z) {
+  return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+// Regularized lower incomplete gamma P(a, x) (series / continued fraction, Numerical Recipes)
+function regularizedGammaP(a, x) {
+  if (x <= 0) return 0;
+  const gln = logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let del = sum;
+    for (let ap = a, i = 0; i < 1000; i++) {
+      ap += 1;
+      del *= x / ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * 1e-14) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+  // continued fraction for Q, then P = 1 - Q
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+// Upper tail of the chi-square distribution: P(X >= x) with df degrees of freedom
+function chiSquareSurvival(x, df) {
+  if (!(df > 0)) return 1;
+  return Math.max(0, Math.min(1, 1 - regularizedGammaP(df / 2, x / 2)));
+}
+
+export {
+  logGamma,
+  wilsonInterval,
+  binomialTest,
+  normalCdf,
+  twoSidedNormalP,
+  chiSquareSurvival
+};
@@ -0,0 +1,52 @@
+// test/draw_sources.test.js
+// Replay source selection: per-game subdirectories and the shared single-file fallback.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDrawSource, parseDraws } from '../draw_sources.js';
+
+const capture = [
+  { issueNumber: '20261019100010002', number: '7', colour: 'green' },
+  { issueNumber: '20261019100010001', number: '2', colour: 'red' }
+];
+
+async function withCaptureFile(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  const file = path.join(dir, 'cap.json');
+  fs.writeFileSync(file, JSON.stringify(capture));
+  try {
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a game allowed to share the path replays a single capture file', () => withCaptureFile(async file => {
+  const source = createDrawSource({ kind: 'replay', replayPath: file }, null, { scope: '1min', sharedReplay: true });
+  const draws = parseDraws(await source.fetchRaw());
+  assert.deepEqual(draws.map(d => [d.issueNumber, d.resultType]), [['20261019100010002', 'BIG'], ['20261019100010001', 'SMALL']]);
+  assert.equal(source.describe(), `replay:${file} (1/1)`);
+}));
+
+test('any other game without its own subdirectory is refused', () => withCaptureFile(file => {
+  assert.throws(
+    () => createDrawSource({ kind: 'replay', replayPath: file }, null, { scope: '30s' }),
+    /No replay captures for 30s/
+  );
+}));
+
+test('a game with its own subdirectory replays it, not the shared path', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  try {
+    fs.mkdirSync(path.join(dir, '3min'));
+    fs.writeFileSync(path.join(dir, '3min', '0000.json'), JSON.stringify(capture));
+    const source = createDrawSource({ kind: 'replay', replayPath: dir }, null, { scope: '3min', sharedReplay: true });
+    assert.equal(source.target, path.join(dir, '3min'));
+    assert.equal((await source.fetchRaw()).length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});